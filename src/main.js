@@ -12,6 +12,14 @@ import "./style.css";
 import { UIManager } from "./managers/UIManager.js";
 import { InteractionManager } from "./managers/InteractionManager.js";
 import { WeatherManager } from "./managers/WeatherManager.js";
+import { ClearanceManager } from "./managers/ClearanceManager.js";
+import { PhaseClearanceManager } from "./managers/PhaseClearanceManager.js";
+import { AttachmentEditorManager } from "./managers/AttachmentEditorManager.js";
+import { RouteManager } from "./managers/RouteManager.js";
+import { ProjectFileManager } from "./managers/ProjectFileManager.js";
+import { ExportManager } from "./managers/ExportManager.js";
+import { ImportManager } from "./managers/ImportManager.js";
+import { StringingManager } from "./managers/StringingManager.js";
 
 const cesiumToken = import.meta.env.VITE_CESIUM_ION_ACCESS_TOKEN;
 Ion.defaultAccessToken = cesiumToken;
@@ -50,10 +58,97 @@ const interactionManager = new InteractionManager(
   weatherManager,
 );
 
+const clearanceManager = new ClearanceManager(
+  viewer,
+  interactionManager,
+  uiManager,
+);
+
+const phaseClearanceManager = new PhaseClearanceManager(
+  viewer,
+  interactionManager,
+  uiManager,
+);
+
+const attachmentEditor = new AttachmentEditorManager(
+  viewer,
+  interactionManager,
+  uiManager,
+);
+
+const routeManager = new RouteManager(
+  viewer,
+  interactionManager,
+  clearanceManager,
+  uiManager,
+);
+
+const projectFileManager = new ProjectFileManager(
+  viewer,
+  interactionManager,
+  uiManager,
+);
+
+const exportManager = new ExportManager(
+  viewer,
+  interactionManager,
+  clearanceManager,
+  uiManager,
+);
+
+const stringingManager = new StringingManager(interactionManager, uiManager);
+
+const importManager = new ImportManager(
+  viewer,
+  interactionManager,
+  clearanceManager,
+  uiManager,
+);
+
 uiManager.setupEventListeners({
   onPlace: () => interactionManager.enablePlaceMode(),
   onConnect: () => interactionManager.enableConnectMode(),
   onCursor: () => interactionManager.resetMode(),
+  onAnalyzeClearance: () => clearanceManager.analyze(),
+  onAutoClearance: (enabled) => clearanceManager.setAutoRun(enabled),
+  onCheckPhaseClearance: () => phaseClearanceManager.check(),
+  onTowerTypeChange: (typeId) =>
+    interactionManager.updateSelectedTowerType(typeId),
+  onTowerHeadingChange: (heading) =>
+    interactionManager.updateSelectedTowerHeading(heading),
+  onEditAttachments: () => attachmentEditor.open(),
+  onPickAttachment: () => attachmentEditor.pick(),
+  onSaveAttachments: () => attachmentEditor.save(),
+  onCancelAttachments: () => attachmentEditor.close(),
+  onInsulatorChange: (options) =>
+    interactionManager.insulators.setOptions(options),
+  onAutoHeadingChange: (enabled) =>
+    interactionManager.setSelectedTowerAutoHeading(enabled),
+  onDrawRoute: () => routeManager.startDrawing(),
+  onSpotTowers: () => routeManager.spot(),
+  onClearRoute: () => routeManager.clear(),
+  onUndo: () => interactionManager.history.undo(),
+  onRedo: () => interactionManager.history.redo(),
+  onDeleteTower: () => interactionManager.deleteSelection(),
+  onDeleteSpan: () => interactionManager.deleteSelection(),
+  onSpanChange: (input) => interactionManager.updateSelectedSpan(input),
+  onResetPhaseMap: () => interactionManager.updateSelectedSpanPhases(null),
+  onBundleChange: (bundle) =>
+    interactionManager.updateSelectedSpanBundle(bundle),
+  onNewLine: () => interactionManager.projectManager.addLine(),
+  onProjectItemChange: (attributes) =>
+    interactionManager.projectManager.updateSelectedAttributes(attributes),
+  onSectionLineChange: (lineIndex) =>
+    interactionManager.projectManager.moveSelectedSection(lineIndex),
+  onSaveProject: () => projectFileManager.download(),
+  onOpenProject: (file) => projectFileManager.open(file),
+  onExportCzml: () => exportManager.exportCzml(),
+  onExportKmz: () => exportManager.exportKmz(),
+  onExportGeoJson: () => exportManager.exportGeoJson(),
+  onExportSagTension: () => exportManager.exportSagTension(),
+  onPrintStringingChart: () => stringingManager.print(),
+  onExportStringingCsv: () => stringingManager.exportCsv(),
+  onImportTowers: (file) => importManager.importTowers(file),
 });
 
 try {
@@ -97,9 +192,9 @@ async function setupInitialScene() {
   const t2Pos = Cartesian3.fromDegrees(-43.162133, -22.960038, 126.96);
   const t3Pos = Cartesian3.fromDegrees(-43.16682, -22.95864, 174.56);
 
-  const t1 = await interactionManager.placeTower(t1Pos);
+  const t1 = await interactionManager.placeTower(t1Pos, { typeId: "deadEnd" });
   const t2 = await interactionManager.placeTower(t2Pos);
-  const t3 = await interactionManager.placeTower(t3Pos);
+  const t3 = await interactionManager.placeTower(t3Pos, { typeId: "deadEnd" });
 
   if (t1 && t2) {
     interactionManager.createConnection(t1, t2);
@@ -0,0 +1,165 @@
+import {
+  CallbackProperty,
+  Cartesian2,
+  Color,
+  JulianDate,
+  LabelStyle,
+  VerticalOrigin,
+} from "cesium";
+import { getTowerType, registerTowerType } from "../utils/towerTypes.js";
+
+/**
+ * Edits the attachment points of a tower type by picking them on a placed
+ * tower. Picked points are previewed as markers and only written to the type
+ * on save, which restrings every span of the towers of that type.
+ */
+export class AttachmentEditorManager {
+  constructor(viewer, interactionManager, uiManager) {
+    this.viewer = viewer;
+    this.interactionManager = interactionManager;
+    this.uiManager = uiManager;
+    this.tower = null;
+    this.typeId = null;
+    this.draft = [];
+    this.markers = [];
+  }
+
+  //start editing the type of the selected tower from a copy of its attachment points
+  open() {
+    const tower = this.interactionManager._currentSelectedEntity;
+    if (!tower) {
+      return;
+    }
+    this.close();
+    this.tower = tower;
+    this.typeId = this.interactionManager.getTowerTypeId(tower);
+    this.draft = getTowerType(this.typeId).attachments.map((a) => ({ ...a }));
+
+    this.uiManager.showAttachmentEditor(getTowerType(this.typeId).name);
+    this.refresh();
+  }
+
+  pick() {
+    if (!this.tower) {
+      return;
+    }
+    this.interactionManager.enablePickMode((entity, localOffset) =>
+      this.addPoint(entity, localOffset),
+    );
+  }
+
+  addPoint(entity, localOffset) {
+    if (entity !== this.tower) {
+      this.uiManager.setPickResult("Pick a point on the tower being edited");
+      return;
+    }
+
+    const { phase, circuit } = this.uiManager.getAttachmentInput();
+    const round = (value) => Math.round(value * 100) / 100;
+    this.draft.push({
+      id: this.nextId(phase, circuit),
+      phase,
+      circuit,
+      x: round(localOffset.x),
+      y: round(localOffset.y),
+      z: round(localOffset.z),
+    });
+    this.refresh();
+  }
+
+  //phase and circuit make the id ("A1"), suffixed when the type already has one
+  nextId(phase, circuit) {
+    const base = `${phase}${circuit}`;
+    const used = new Set(this.draft.map((a) => a.id));
+    let id = base;
+    for (let n = 2; used.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    return id;
+  }
+
+  removePoint(index) {
+    this.draft.splice(index, 1);
+    this.refresh();
+  }
+
+  save() {
+    if (!this.tower) {
+      return;
+    }
+    const typeId = this.typeId;
+    const previous = getTowerType(typeId).attachments;
+    const attachments = this.draft;
+    this.applyAttachments(typeId, attachments);
+    this.interactionManager.history.record({
+      label: `Edit ${getTowerType(typeId).name} attachments`,
+      undo: () => this.applyAttachments(typeId, previous),
+      redo: () => this.applyAttachments(typeId, attachments),
+    });
+    this.close();
+  }
+
+  //write attachment points into a tower type and restring the towers that use it
+  applyAttachments(typeId, attachments) {
+    registerTowerType(typeId, { ...getTowerType(typeId), attachments });
+    const towers = this.interactionManager.placedObjects.filter(
+      (tower) => this.interactionManager.getTowerTypeId(tower) === typeId,
+    );
+    this.interactionManager.restringTowers(towers);
+  }
+
+  close() {
+    this.clearMarkers();
+    this.tower = null;
+    this.typeId = null;
+    this.draft = [];
+    this.uiManager.hideAttachmentEditor();
+  }
+
+  refresh() {
+    this.uiManager.renderAttachmentList(this.draft, (index) =>
+      this.removePoint(index),
+    );
+    this.showMarkers();
+  }
+
+  showMarkers() {
+    this.clearMarkers();
+    const tower = this.tower;
+    this.draft.forEach((attachment) => {
+      const marker = this.viewer.entities.add({
+        position: new CallbackProperty(
+          (time) =>
+            this.interactionManager.computeModuleWorldPos(
+              tower,
+              attachment,
+              time || JulianDate.now(),
+            ),
+          false,
+        ),
+        point: {
+          pixelSize: 9,
+          color: Color.YELLOW,
+          outlineColor: Color.BLACK,
+          outlineWidth: 1,
+          disableDepthTestDistance: Number.POSITIVE_INFINITY,
+        },
+        label: {
+          text: `${attachment.id} (${attachment.phase})`,
+          font: "12px monospace",
+          style: LabelStyle.FILL_AND_OUTLINE,
+          outlineWidth: 2,
+          verticalOrigin: VerticalOrigin.BOTTOM,
+          pixelOffset: new Cartesian2(0, -10),
+          disableDepthTestDistance: Number.POSITIVE_INFINITY,
+        },
+      });
+      this.markers.push(marker);
+    });
+  }
+
+  clearMarkers() {
+    this.markers.forEach((marker) => this.viewer.entities.remove(marker));
+    this.markers = [];
+  }
+}
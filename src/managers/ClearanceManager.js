@@ -0,0 +1,247 @@
+import {
+  Cartographic,
+  Color,
+  Cartesian2,
+  VerticalOrigin,
+  DistanceDisplayCondition,
+  sampleTerrainMostDetailed,
+} from "cesium";
+
+//re-run the automatic analysis when the conductor temperature moves this much (°C)
+const AUTO_TEMP_STEP = 2;
+
+/**
+ * Vertical clearance of every conductor to what lies below it: the Google
+ * photorealistic tileset (buildings, trees) and the globe. A span violates when
+ * the clearance drops below the safety zone radius.
+ */
+export class ClearanceManager {
+  constructor(viewer, interactionManager, uiManager) {
+    this.viewer = viewer;
+    this.interactionManager = interactionManager;
+    this.uiManager = uiManager;
+    this.results = [];
+    this.markers = [];
+    this.sampleStep = 4; //every n-th point of the solved conductor
+    this.autoRun = false;
+    this._running = false;
+    this._lastTemp = null;
+
+    viewer.clock.onTick.addEventListener(() => this.handleTick());
+  }
+
+  setAutoRun(enabled) {
+    this.autoRun = enabled;
+    if (enabled) {
+      this.analyze();
+    }
+  }
+
+  handleTick() {
+    if (!this.autoRun || this._running) {
+      return;
+    }
+    const temp = this.getCurrentTemp();
+    if (
+      temp !== null &&
+      (this._lastTemp === null ||
+        Math.abs(temp - this._lastTemp) >= AUTO_TEMP_STEP)
+    ) {
+      this.analyze();
+    }
+  }
+
+  getCurrentTemp() {
+    const line = this.interactionManager.lines.find((l) => l.lastTemp !== null);
+    return line ? line.lastTemp : null;
+  }
+
+  //terrain/tileset height under each position, ignoring our own entities
+  async sampleSurface(cartographics) {
+    const scene = this.viewer.scene;
+    const globeHeights = cartographics.map(
+      (c) => scene.globe.getHeight(c) ?? 0,
+    );
+
+    let sceneHeights = [];
+    if (scene.sampleHeightSupported) {
+      try {
+        const sampled = await scene.sampleHeightMostDetailed(
+          cartographics.map((c) => c.clone()),
+          this.viewer.entities.values,
+        );
+        sceneHeights = sampled.map((c) => c.height);
+      } catch (err) {
+        console.error("Failed to sample tileset heights:", err);
+      }
+    }
+
+    return cartographics.map((c, i) => {
+      const sceneHeight = sceneHeights[i];
+      return Number.isFinite(sceneHeight)
+        ? Math.max(sceneHeight, globeHeights[i])
+        : globeHeights[i];
+    });
+  }
+
+  //whether sampleGround reaches the bare terrain rather than falling back to the surface
+  hasGroundTerrain() {
+    return Boolean(this.viewer.terrainProvider.availability);
+  }
+
+  /**
+   * Bare ground height under each position, for tower bases: the terrain
+   * provider at its most detailed level, without buildings or trees of the
+   * tileset. A terrain without tile availability (the plain ellipsoid) cannot
+   * be sampled this way, so the surface is taken instead.
+   * @param {Cartographic[]} cartographics
+   * @returns {Promise<number[]>}
+   */
+  async sampleGround(cartographics) {
+    const terrainProvider = this.viewer.terrainProvider;
+    if (!this.hasGroundTerrain()) {
+      console.warn("Terrain has no tile availability, sampling the surface");
+      return this.sampleSurface(cartographics);
+    }
+    const sampled = await sampleTerrainMostDetailed(
+      terrainProvider,
+      cartographics.map((c) => c.clone()),
+    );
+    return sampled.map((c) => c.height ?? 0);
+  }
+
+  /**
+   * Sample every conductor and compute its minimum clearance
+   * @returns {Promise<Object[]>} one result per conductor, violations first
+   */
+  async analyze() {
+    if (this._running) {
+      return this.results;
+    }
+    this._running = true;
+    this._lastTemp = this.getCurrentTemp();
+
+    try {
+      const required = this.interactionManager.getSafetyRadius();
+      const spans = this.interactionManager.spans;
+      const results = [];
+
+      for (const lineData of this.interactionManager.lines) {
+        const positions = lineData.lastPositions;
+        if (!positions || positions.length < 2) {
+          continue;
+        }
+
+        const samples = [];
+        for (let i = 0; i < positions.length; i += this.sampleStep) {
+          samples.push(i);
+        }
+        if (samples[samples.length - 1] !== positions.length - 1) {
+          samples.push(positions.length - 1);
+        }
+
+        const cartographics = samples.map((i) =>
+          Cartographic.fromCartesian(positions[i]),
+        );
+        const surface = await this.sampleSurface(cartographics);
+
+        const violations = [];
+        let min = null;
+        samples.forEach((index, k) => {
+          const clearance = cartographics[k].height - surface[k];
+          const point = {
+            position: positions[index],
+            distance:
+              (index / (positions.length - 1)) * lineData.lastSpanLength,
+            clearance: clearance,
+          };
+          if (!min || clearance < min.clearance) {
+            min = point;
+          }
+          if (clearance < required) {
+            violations.push(point);
+          }
+        });
+
+        results.push({
+          span: spans.indexOf(lineData.span) + 1,
+          phase: lineData.phaseId,
+          temperature: lineData.lastTemp,
+          required: required,
+          minClearance: min.clearance,
+          minDistance: min.distance,
+          minPosition: min.position,
+          violations: violations,
+        });
+      }
+
+      results.sort(
+        (a, b) =>
+          b.violations.length - a.violations.length ||
+          a.minClearance - b.minClearance,
+      );
+      this.results = results;
+      this.showMarkers(results);
+      this.uiManager.renderClearanceResults(results, (result) =>
+        this.flyTo(result),
+      );
+      return results;
+    } finally {
+      this._running = false;
+    }
+  }
+
+  showMarkers(results) {
+    this.clearMarkers();
+    for (const result of results) {
+      result.violations.forEach((violation) => {
+        const isMin = violation.position === result.minPosition;
+        this.markers.push(
+          this.viewer.entities.add({
+            position: violation.position,
+            point: {
+              pixelSize: isMin ? 12 : 7,
+              color: Color.RED,
+              outlineColor: Color.WHITE,
+              outlineWidth: isMin ? 2 : 0,
+              disableDepthTestDistance: Number.POSITIVE_INFINITY,
+            },
+            label: isMin
+              ? {
+                  text: `${violation.clearance.toFixed(2)} m < ${result.required.toFixed(2)} m`,
+                  font: "12px monospace",
+                  fillColor: Color.WHITE,
+                  showBackground: true,
+                  backgroundColor: new Color(0.6, 0.0, 0.0, 0.8),
+                  verticalOrigin: VerticalOrigin.BOTTOM,
+                  pixelOffset: new Cartesian2(0, -14),
+                  distanceDisplayCondition: new DistanceDisplayCondition(
+                    0,
+                    3000,
+                  ),
+                }
+              : undefined,
+          }),
+        );
+      });
+    }
+  }
+
+  clearMarkers() {
+    this.markers.forEach((marker) => this.viewer.entities.remove(marker));
+    this.markers = [];
+  }
+
+  flyTo(result) {
+    const position = result.minPosition;
+    if (!position) {
+      return;
+    }
+    const carto = Cartographic.fromCartesian(position);
+    carto.height += 120;
+    this.viewer.camera.flyTo({
+      destination: Cartographic.toCartesian(carto),
+      duration: 1.0,
+    });
+  }
+}
@@ -0,0 +1,583 @@
+import {
+  Cartesian3,
+  Cartographic,
+  JulianDate,
+  Math as CesiumMath,
+  Resource,
+} from "cesium";
+import {
+  createDocumentPacket,
+  czmlInterval,
+  packCartesians,
+} from "../utils/czml.js";
+import { gltfToCollada } from "../utils/collada.js";
+import { parseNumberList, toCsv } from "../utils/csv.js";
+import { downloadFile, safeFilename } from "../utils/download.js";
+import {
+  corridorRing,
+  escapeXml,
+  kmlCoordinates,
+  kmlExtendedData,
+} from "../utils/kml.js";
+import { createZip } from "../utils/zip.js";
+import { getPortableModel, getTowerType } from "../utils/towerTypes.js";
+
+const MAX_SAMPLES = 2000;
+const EXPORT_POINTS = 32; //points along each exported conductor
+const REPORT_POINTS = 48; //points along each conductor of the sag-tension report
+
+/**
+ * Exports the scene for viewers outside the app
+ */
+export class ExportManager {
+  constructor(viewer, interactionManager, clearanceManager, uiManager) {
+    this.viewer = viewer;
+    this.interactionManager = interactionManager;
+    this.clearanceManager = clearanceManager;
+    this.uiManager = uiManager;
+  }
+
+  //times from the clock start to its stop, one per interval
+  getSampleTimes(intervalSeconds) {
+    const { startTime, stopTime } = this.viewer.clock;
+    const duration = JulianDate.secondsDifference(stopTime, startTime);
+    const count = Math.floor(duration / intervalSeconds) + 1;
+    if (count > MAX_SAMPLES) {
+      throw new Error(
+        `${count} samples over the clock range, at most ${MAX_SAMPLES}; use a longer interval`,
+      );
+    }
+    const times = [];
+    for (let i = 0; i < count; i++) {
+      times.push(
+        JulianDate.addSeconds(startTime, i * intervalSeconds, new JulianDate()),
+      );
+    }
+    return times;
+  }
+
+  /**
+   * Model of a tower type for a CZML packet, linked by its absolute url. Ion
+   * models only resolve with a token that expires with this session, so their
+   * bundled stand-in is linked; a type with none is left a point with its ion
+   * asset id.
+   * @param {Object} towerType
+   * @param {number} [towerScale] scale of the tower to its structure height
+   * @returns {Object} model, or point and properties, of the packet
+   */
+  getModelGraphics(towerType, towerScale = 1) {
+    const model = getPortableModel(towerType);
+    if (!model) {
+      return {
+        point: { pixelSize: 8, color: { rgba: [255, 255, 255, 255] } },
+        properties: { ionAssetId: towerType.model.ionAssetId },
+      };
+    }
+    return {
+      model: {
+        gltf: new URL(model.uri, window.location.href).href,
+        scale: model.scale * towerScale,
+      },
+    };
+  }
+
+  /**
+   * CZML of the scene over the clock range: towers as models (see
+   * getModelGraphics), each conductor as polyline positions that change at
+   * every sample, and span labels with the temperature, sag and tension of
+   * each sample
+   * @param {number} intervalMinutes time between samples
+   * @returns {Promise<Object[]>} CZML packets
+   */
+  async buildCzml(intervalMinutes) {
+    const im = this.interactionManager;
+    const clock = this.viewer.clock;
+    const times = this.getSampleTimes(intervalMinutes * 60);
+    const stop = clock.stopTime;
+    const now = JulianDate.now();
+
+    const packets = [
+      createDocumentPacket(
+        im.projectManager.project.name,
+        clock.startTime,
+        stop,
+        clock.multiplier,
+      ),
+    ];
+
+    for (const [index, tower] of im.placedObjects.entries()) {
+      const towerType = getTowerType(im.getTowerTypeId(tower));
+      const orientation = tower.orientation.getValue(now);
+      packets.push({
+        id: `tower-${index + 1}`,
+        name: `Tower ${index + 1} (${towerType.name})`,
+        position: { cartesian: packCartesians([tower.position.getValue(now)]) },
+        orientation: {
+          unitQuaternion: [
+            orientation.x,
+            orientation.y,
+            orientation.z,
+            orientation.w,
+          ],
+        },
+        ...this.getModelGraphics(towerType, im.getTowerScale(tower)),
+      });
+    }
+
+    //conductor and label packets are filled sample by sample
+    const conductors = [];
+    const labels = [];
+    im.spans.forEach((span, spanIndex) => {
+      span.lines.forEach((lineData) => {
+        for (let k = 0; k < span.bundle.count; k++) {
+          const suffix = span.bundle.count > 1 ? `-${k + 1}` : "";
+          conductors.push({
+            lineData,
+            subConductor: k,
+            packet: {
+              id: `conductor-${spanIndex + 1}-${lineData.phaseId}${suffix}`,
+              name: `Span ${spanIndex + 1} ${lineData.phaseId} (${lineData.phase})${suffix}`,
+              polyline: {
+                positions: [],
+                width: 3,
+                arcType: "NONE",
+                material: { solidColor: { color: [] } },
+              },
+            },
+          });
+        }
+      });
+      if (span.lines.length > 0) {
+        labels.push({
+          lineData: span.lines[0],
+          packet: {
+            id: `label-${spanIndex + 1}`,
+            name: `Span ${spanIndex + 1}`,
+            position: { epoch: JulianDate.toIso8601(times[0]), cartesian: [] },
+            label: {
+              text: [],
+              font: "14px monospace",
+              fillColor: { rgba: [255, 255, 255, 255] },
+              showBackground: true,
+              backgroundColor: { rgba: [26, 26, 26, 178] },
+              verticalOrigin: "BOTTOM",
+              pixelOffset: { cartesian2: [0, -20] },
+              distanceDisplayCondition: { distanceDisplayCondition: [0, 3000] },
+            },
+          },
+        });
+      }
+    });
+
+    const samples = new Map();
+    for (const [i, time] of times.entries()) {
+      const interval = czmlInterval(time, times[i + 1] || stop);
+      samples.clear();
+
+      conductors.forEach(({ lineData, subConductor, packet }) => {
+        if (!samples.has(lineData)) {
+          samples.set(lineData, im.sampleLine(lineData, time, EXPORT_POINTS));
+        }
+        const { positions, state, offsets } = samples.get(lineData);
+        const offset = offsets[subConductor];
+        packet.polyline.positions.push({
+          interval,
+          cartesian: packCartesians(
+            positions.map((p) => Cartesian3.add(p, offset, new Cartesian3())),
+          ),
+        });
+        packet.polyline.material.solidColor.color.push({
+          interval,
+          rgba: im.getLineColor(state.temp).toBytes(),
+        });
+      });
+
+      labels.forEach(({ lineData, packet }) => {
+        const { positions, state } = samples.get(lineData);
+        const meta = positions.metadata || {};
+        const mid = positions[Math.floor(positions.length / 2)];
+        const seconds = JulianDate.secondsDifference(time, times[0]);
+        packet.position.cartesian.push(seconds, ...packCartesians([mid]));
+        packet.label.text.push({
+          interval,
+          string: `${lineData.options.name || "Conductor"} · ${state.loadCase}\nTemp: ${state.temp.toFixed(1)}°C\nSag: ${(meta.sag || 0).toFixed(2)} m\nTension: ${Math.round(meta.hTension || 0)} N`,
+        });
+      });
+
+      //give the page a chance to repaint during long exports
+      if (i % 20 === 19) {
+        this.uiManager.setExportStatus(
+          `Sampling ${i + 1} of ${times.length}...`,
+        );
+        await new Promise((resolve) => setTimeout(resolve));
+      }
+    }
+
+    return [
+      ...packets,
+      ...conductors.map(({ packet }) => packet),
+      ...labels.map(({ packet }) => packet),
+    ];
+  }
+
+  async exportCzml() {
+    const { interval } = this.uiManager.getExportOptions();
+    try {
+      this.uiManager.setExportStatus("Sampling conductors...");
+      const czml = await this.buildCzml(interval);
+      const name = this.interactionManager.projectManager.project.name;
+      downloadFile(
+        safeFilename(name, "czml"),
+        JSON.stringify(czml),
+        "application/json",
+      );
+      const ionTowers = czml.filter((packet) => packet.properties?.ionAssetId);
+      const ionNote = ionTowers.length
+        ? `; ${ionTowers.length} towers as points with their ion asset id`
+        : "";
+      this.uiManager.setExportStatus(
+        `Exported ${czml.length} CZML packets${ionNote}`,
+      );
+    } catch (err) {
+      console.error("Failed to export CZML:", err);
+      this.uiManager.setExportStatus(`CZML export failed: ${err.message}`);
+    }
+  }
+
+  //COLLADA copy of the bundled model of a tower type for a KMZ, named after the type
+  async getModelFile(typeId) {
+    const model = getPortableModel(getTowerType(typeId));
+    if (!model) {
+      throw new Error("no bundled model");
+    }
+    const gltf = await new Resource({ url: model.uri }).fetchJson();
+    return {
+      name: `models/${typeId}.dae`,
+      data: gltfToCollada(gltf, typeId),
+      scale: model.scale,
+    };
+  }
+
+  /**
+   * KML document of the scene as it is drawn now: towers as placemarks with
+   * their COLLADA models, conductors as 3D line strings at their solved shape
+   * and safety zones as polygons extruded to the ground
+   * @param {Object<string, {name: string, scale: number}>} modelFiles model in the KMZ per tower type; types without one stay points
+   * @param {number} geoidHeight m, from the ellipsoid heights of the scene to KML altitudes
+   * @returns {string}
+   */
+  buildKml(modelFiles, geoidHeight) {
+    const im = this.interactionManager;
+    const now = JulianDate.now();
+    const radius = im.getSafetyRadius();
+    const showSafetyZone = this.uiManager.showSafetyZoneCheckbox?.checked;
+
+    const towers = im.placedObjects.map((tower, index) => {
+      const typeId = im.getTowerTypeId(tower);
+      const towerType = getTowerType(typeId);
+      const position = tower.position.getValue(now);
+      const heading = tower.properties.headingDegrees?.getValue() || 0;
+      const conductors = new Set();
+      im.spans.forEach((span) => {
+        if (span.entity1 === tower || span.entity2 === tower) {
+          conductors.add(span.options.name || "Conductor");
+        }
+      });
+      const [lon, lat, alt] = kmlCoordinates([position], geoidHeight).split(
+        ",",
+      );
+      const attributes = kmlExtendedData({
+        type: towerType.name,
+        structureClass: towerType.structureClass,
+        heading: heading.toFixed(1),
+        conductor: [...conductors].join(", "),
+      });
+      const point = `<Point><altitudeMode>absolute</altitudeMode><coordinates>${lon},${lat},${alt}</coordinates></Point>`;
+      const modelFile = modelFiles[typeId];
+      const scale = modelFile && modelFile.scale * im.getTowerScale(tower);
+      //the COLLADA models share the heading convention of the scene: x east at 0, clockwise
+      const model = modelFile
+        ? `<Model><altitudeMode>absolute</altitudeMode><Location><longitude>${lon}</longitude><latitude>${lat}</latitude><altitude>${alt}</altitude></Location><Orientation><heading>${heading.toFixed(1)}</heading></Orientation><Scale><x>${scale}</x><y>${scale}</y><z>${scale}</z></Scale><Link><href>${modelFile.name}</href></Link></Model>`
+        : "";
+      return `<Placemark><name>Tower ${index + 1}</name><styleUrl>#tower</styleUrl>${attributes}<MultiGeometry>${point}${model}</MultiGeometry></Placemark>`;
+    });
+
+    const conductors = [];
+    const zones = [];
+    im.spans.forEach((span, spanIndex) => {
+      span.lines.forEach((lineData) => {
+        if (!lineData.lastPositions) {
+          return;
+        }
+        const meta = lineData.lastMetadata || {};
+        const name = `Span ${spanIndex + 1} ${lineData.phaseId}`;
+        const attributes = kmlExtendedData({
+          conductor: lineData.options.name || "Conductor",
+          phase: lineData.phase || "",
+          bundle: lineData.bundle.count,
+          temperature: (lineData.lastTemp ?? 20).toFixed(1),
+          sag: (meta.sag || 0).toFixed(2),
+          tension: Math.round(meta.hTension || 0),
+        });
+        const lines = (lineData.subPositions || [lineData.lastPositions]).map(
+          (positions) =>
+            `<LineString><altitudeMode>absolute</altitudeMode><coordinates>${kmlCoordinates(positions, geoidHeight)}</coordinates></LineString>`,
+        );
+        conductors.push(
+          `<Placemark><name>${escapeXml(name)}</name><styleUrl>#conductor</styleUrl>${attributes}<MultiGeometry>${lines.join("")}</MultiGeometry></Placemark>`,
+        );
+        //the zone reaches from the conductor down to the ground, as wide as the safety radius to each side
+        const ring = corridorRing(lineData.lastPositions, radius);
+        zones.push(
+          `<Placemark><name>${escapeXml(name)}</name><styleUrl>#safetyZone</styleUrl><Polygon><extrude>1</extrude><altitudeMode>absolute</altitudeMode><outerBoundaryIs><LinearRing><coordinates>${kmlCoordinates(ring, geoidHeight)}</coordinates></LinearRing></outerBoundaryIs></Polygon></Placemark>`,
+        );
+      });
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+<Document>
+<name>${escapeXml(im.projectManager.project.name)}</name>
+<Style id="tower"><IconStyle><Icon><href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href></Icon></IconStyle></Style>
+<Style id="conductor"><LineStyle><color>ff00ccff</color><width>2</width></LineStyle></Style>
+<Style id="safetyZone"><LineStyle><color>804d4dff</color></LineStyle><PolyStyle><color>4d3333ff</color></PolyStyle></Style>
+<Folder><name>Towers</name>
+${towers.join("\n")}
+</Folder>
+<Folder><name>Conductors</name>
+${conductors.join("\n")}
+</Folder>
+<Folder><name>Safety Zones</name><visibility>${showSafetyZone ? 1 : 0}</visibility>
+${zones.join("\n")}
+</Folder>
+</Document>
+</kml>
+`;
+  }
+
+  async exportKmz() {
+    const im = this.interactionManager;
+    const { geoidHeight } = this.uiManager.getExportOptions();
+    try {
+      this.uiManager.setExportStatus("Packaging tower models...");
+      const files = [];
+      const modelFiles = {};
+      const typeIds = new Set(
+        im.placedObjects.map((t) => im.getTowerTypeId(t)),
+      );
+      for (const typeId of typeIds) {
+        try {
+          const { scale, ...file } = await this.getModelFile(typeId);
+          files.push(file);
+          modelFiles[typeId] = { name: file.name, scale };
+        } catch (err) {
+          //the towers are still exported as points
+          console.warn(`Could not package the model of "${typeId}":`, err);
+        }
+      }
+
+      const kml = this.buildKml(modelFiles, geoidHeight);
+      downloadFile(
+        safeFilename(im.projectManager.project.name, "kmz"),
+        createZip([{ name: "doc.kml", data: kml }, ...files]),
+      );
+      const points = im.placedObjects.filter(
+        (t) => !modelFiles[im.getTowerTypeId(t)],
+      ).length;
+      const note = points
+        ? ` (${points} towers without a model left as points)`
+        : "";
+      this.uiManager.setExportStatus(
+        `Exported ${im.placedObjects.length} towers, ${im.spans.length} spans to KMZ${note}`,
+      );
+    } catch (err) {
+      console.error("Failed to export KMZ:", err);
+      this.uiManager.setExportStatus(`KMZ export failed: ${err.message}`);
+    }
+  }
+
+  /**
+   * GeoJSON of the towers as points and the spans between them as lines.
+   * Coordinates are at the tower base, with the elevation above sea level.
+   * @param {number} geoidHeight m
+   * @returns {Object} feature collection
+   */
+  buildGeoJson(geoidHeight) {
+    const im = this.interactionManager;
+    const now = JulianDate.now();
+    const ids = im.placedObjects.map(
+      (tower, index) =>
+        tower.properties.surveyId?.getValue() || String(index + 1),
+    );
+    const coordinates = im.placedObjects.map((tower) => {
+      const base = Cartographic.fromCartesian(tower.position.getValue(now));
+      return [
+        Number(CesiumMath.toDegrees(base.longitude).toFixed(8)),
+        Number(CesiumMath.toDegrees(base.latitude).toFixed(8)),
+        Number((base.height - geoidHeight).toFixed(2)),
+      ];
+    });
+
+    const towers = im.placedObjects.map((tower, index) => ({
+      type: "Feature",
+      geometry: { type: "Point", coordinates: coordinates[index] },
+      properties: {
+        kind: "tower",
+        id: ids[index],
+        type: im.getTowerTypeId(tower),
+        elevation: coordinates[index][2],
+        height: tower.properties.structureHeight?.getValue() ?? null,
+        heading: tower.properties.headingDegrees?.getValue() || 0,
+        autoHeading: im.isAutoHeading(tower),
+      },
+    }));
+
+    const spans = im.spans.map((span) => {
+      const from = im.placedObjects.indexOf(span.entity1);
+      const to = im.placedObjects.indexOf(span.entity2);
+      return {
+        type: "Feature",
+        geometry: {
+          type: "LineString",
+          coordinates: [coordinates[from], coordinates[to]],
+        },
+        properties: {
+          kind: "span",
+          from: ids[from],
+          to: ids[to],
+          conductor: span.options.name || "Conductor",
+          mode: span.options.mode,
+          bundle: span.bundle.count,
+          phases: span.lines.map((lineData) => lineData.phase).join(","),
+          section: span.section?.name || "",
+          line: span.section?.line?.name || "",
+        },
+      };
+    });
+
+    return { type: "FeatureCollection", features: [...towers, ...spans] };
+  }
+
+  exportGeoJson() {
+    const { geoidHeight } = this.uiManager.getExportOptions();
+    const data = this.buildGeoJson(geoidHeight);
+    downloadFile(
+      safeFilename(
+        this.interactionManager.projectManager.project.name,
+        "geojson",
+      ),
+      JSON.stringify(data, null, 2),
+      "application/geo+json",
+    );
+    this.uiManager.setExportStatus(
+      `Exported ${data.features.length} GeoJSON features`,
+    );
+  }
+
+  /**
+   * Sag-tension table with one row per conductor and temperature, solved the
+   * same way as the drawn conductors under the load case of the panel
+   * @param {number[]} temperatures °C
+   * @returns {Promise<{header: string[], rows: Array[]}>}
+   */
+  async buildSagTensionTable(temperatures) {
+    const im = this.interactionManager;
+    const now = JulianDate.now();
+    const header = [
+      "Span",
+      "Phase",
+      "Conductor",
+      "Bundle",
+      "Design Mode",
+      "Load Case",
+      "Temperature (°C)",
+      "Span Length (m)",
+      "Elevation Difference (m)",
+      "Horizontal Tension (N)",
+      "RTS (%)",
+      "Sag (m)",
+      "Clearance (m)",
+    ];
+    const rows = [];
+
+    for (const [spanIndex, span] of im.spans.entries()) {
+      for (const lineData of span.lines) {
+        const ends = im.getConductorEnds(lineData, now) || lineData;
+        if (!ends.start || !ends.end) {
+          continue;
+        }
+        const dz =
+          Cartographic.fromCartesian(ends.end).height -
+          Cartographic.fromCartesian(ends.start).height;
+
+        //the ground under the conductor is sampled once; its plan position barely moves with temperature
+        const first = im.sampleLine(
+          lineData,
+          now,
+          REPORT_POINTS,
+          temperatures[0],
+        );
+        const surface = await this.clearanceManager.sampleSurface(
+          first.positions.map((p) => Cartographic.fromCartesian(p)),
+        );
+
+        temperatures.forEach((temperature, i) => {
+          const { positions, state } =
+            i === 0
+              ? first
+              : im.sampleLine(lineData, now, REPORT_POINTS, temperature);
+          const meta = positions.metadata || {};
+          const hTension = meta.hTension;
+          const rts = lineData.options.rts;
+          const clearance = Math.min(
+            ...positions.map(
+              (p, k) => Cartographic.fromCartesian(p).height - surface[k],
+            ),
+          );
+          rows.push([
+            spanIndex + 1,
+            lineData.phaseId,
+            lineData.options.name || "Conductor",
+            lineData.bundle.count,
+            lineData.options.mode || "physics",
+            state.loadCase,
+            temperature,
+            state.spanLength.toFixed(2),
+            dz.toFixed(2),
+            Math.round(hTension),
+            rts ? ((hTension / rts) * 100).toFixed(1) : "",
+            (meta.sag || 0).toFixed(2),
+            Number.isFinite(clearance) ? clearance.toFixed(2) : "",
+          ]);
+        });
+      }
+    }
+    return { header, rows };
+  }
+
+  async exportSagTension() {
+    const temperatures = parseNumberList(
+      this.uiManager.getExportOptions().temperatures,
+    );
+    if (temperatures.length === 0) {
+      this.uiManager.setExportStatus("Enter the report temperatures");
+      return;
+    }
+    try {
+      this.uiManager.setExportStatus("Solving sag-tension table...");
+      const { header, rows } = await this.buildSagTensionTable(temperatures);
+      const name = this.interactionManager.projectManager.project.name;
+      downloadFile(
+        safeFilename(`${name}-sag-tension`, "csv"),
+        toCsv(header, rows),
+        "text/csv",
+      );
+      this.uiManager.setExportStatus(`Exported ${rows.length} table rows`);
+    } catch (err) {
+      console.error("Failed to export the sag-tension table:", err);
+      this.uiManager.setExportStatus(
+        `Sag-tension export failed: ${err.message}`,
+      );
+    }
+  }
+}
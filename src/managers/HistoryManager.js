@@ -0,0 +1,118 @@
+const MAX_ENTRIES = 100;
+
+/**
+ * Undo/redo stack of scene edits. Commands are recorded once they have been
+ * applied and carry the functions that reverse and repeat them. Bound to
+ * Ctrl+Z, Ctrl+Y and Ctrl+Shift+Z.
+ */
+export class HistoryManager {
+  constructor(uiManager) {
+    this.uiManager = uiManager;
+    this.entries = [];
+    this.index = 0; //number of applied entries
+    this._busy = false;
+
+    document.addEventListener("keydown", (event) => this.handleKeyDown(event));
+    this.render();
+  }
+
+  /**
+   * Push an applied edit, dropping anything that was undone before it
+   * @param {{label: string, undo: function(): (void|Promise), redo: function(): (void|Promise)}} command
+   */
+  record(command) {
+    this.entries.splice(this.index);
+    this.entries.push(command);
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.shift();
+    }
+    this.index = this.entries.length;
+    this.render();
+  }
+
+  //forget every edit, for a scene that was replaced as a whole
+  clear() {
+    this.entries = [];
+    this.index = 0;
+    this.render();
+  }
+
+  //an entry counts as undone only once its undo went through
+  async undo() {
+    if (this._busy || this.index === 0) {
+      return false;
+    }
+    this._busy = true;
+    try {
+      await this.entries[this.index - 1].undo();
+      this.index--;
+      return true;
+    } catch (err) {
+      console.error("Failed to undo:", err);
+      return false;
+    } finally {
+      this._busy = false;
+      this.render();
+    }
+  }
+
+  async redo() {
+    if (this._busy || this.index === this.entries.length) {
+      return false;
+    }
+    this._busy = true;
+    try {
+      await this.entries[this.index].redo();
+      this.index++;
+      return true;
+    } catch (err) {
+      console.error("Failed to redo:", err);
+      return false;
+    } finally {
+      this._busy = false;
+      this.render();
+    }
+  }
+
+  //step back or forward until the first `index` entries are applied, stopping at an edit that fails
+  async goTo(index) {
+    while (this.index > index) {
+      if (!(await this.undo())) {
+        return;
+      }
+    }
+    while (this.index < index) {
+      if (!(await this.redo())) {
+        return;
+      }
+    }
+  }
+
+  handleKeyDown(event) {
+    if (!(event.ctrlKey || event.metaKey)) {
+      return;
+    }
+    //text fields keep their own undo
+    const tag = event.target?.tagName;
+    if (tag === "INPUT" || tag === "TEXTAREA" || tag === "SELECT") {
+      return;
+    }
+
+    const key = event.key.toLowerCase();
+    if (key === "z" && !event.shiftKey) {
+      event.preventDefault();
+      this.undo();
+    } else if (key === "y" || (key === "z" && event.shiftKey)) {
+      event.preventDefault();
+      this.redo();
+    }
+  }
+
+  render() {
+    this.uiManager.renderHistory(
+      this.entries.map((entry) => entry.label),
+      this.index,
+      (index) => this.goTo(index),
+    );
+  }
+}
@@ -0,0 +1,116 @@
+import { Cartesian3, Cartographic } from "cesium";
+import { TOWER_TYPES } from "../utils/towerTypes.js";
+import { parseTowerCsv, parseTowerGeoJson } from "../utils/towerImport.js";
+
+/**
+ * Places surveyed towers read from CSV or GeoJSON. Rows that fail validation
+ * are skipped and reported; the rest are placed in file order and can be
+ * strung one to the next.
+ */
+export class ImportManager {
+  constructor(viewer, interactionManager, clearanceManager, uiManager) {
+    this.viewer = viewer;
+    this.interactionManager = interactionManager;
+    this.clearanceManager = clearanceManager;
+    this.uiManager = uiManager;
+  }
+
+  async read(file) {
+    const text = await file.text();
+    const knownTypes = Object.keys(TOWER_TYPES);
+    if (/\.(geo)?json$/i.test(file.name) || text.trimStart().startsWith("{")) {
+      return parseTowerGeoJson(JSON.parse(text), knownTypes);
+    }
+    return parseTowerCsv(text, knownTypes);
+  }
+
+  //base heights of the towers; a surveyed elevation is above sea level, a missing one is taken from the ground
+  async getBaseHeights(towers, geoidHeight) {
+    const missing = towers.filter((t) => t.elevation === null);
+    const sampled = missing.length
+      ? await this.clearanceManager.sampleGround(
+          missing.map((t) => Cartographic.fromDegrees(t.longitude, t.latitude)),
+        )
+      : [];
+    return towers.map((t) =>
+      t.elevation === null
+        ? sampled[missing.indexOf(t)]
+        : t.elevation + geoidHeight,
+    );
+  }
+
+  async importTowers(file) {
+    const im = this.interactionManager;
+    const { connect, geoidHeight } = this.uiManager.getImportOptions();
+    const cursor = document.body.style.cursor;
+    document.body.style.cursor = "wait";
+    try {
+      const { towers: surveyed, errors } = await this.read(file);
+      errors.forEach((error) => console.warn(`${file.name}: ${error}`));
+      if (surveyed.length === 0) {
+        throw new Error(errors[0] || "no towers found");
+      }
+
+      const heights = await this.getBaseHeights(surveyed, geoidHeight);
+      //without terrain the surface can be a roof or a tree top, so those bases need a look
+      const review = this.clearanceManager.hasGroundTerrain()
+        ? []
+        : surveyed.flatMap((survey, i) =>
+            survey.elevation === null ? [survey.id || `#${i + 1}`] : [],
+          );
+      const lineOptions = this.uiManager.getLineOptions();
+      const towers = [];
+      for (const [i, survey] of surveyed.entries()) {
+        const attributes = {};
+        if (survey.id) {
+          attributes.surveyId = survey.id;
+        }
+        if (survey.height !== null) {
+          attributes.structureHeight = survey.height;
+        }
+        const tower = await im.placeTower(
+          Cartesian3.fromDegrees(survey.longitude, survey.latitude, heights[i]),
+          {
+            typeId: survey.type || undefined,
+            headingDegrees: survey.heading ?? undefined,
+            attributes,
+          },
+        );
+        if (tower) {
+          towers.push(tower);
+        }
+      }
+
+      let spans = 0;
+      if (connect) {
+        for (let i = 0; i < towers.length - 1; i++) {
+          if (im.createConnection(towers[i], towers[i + 1], lineOptions)) {
+            spans++;
+          }
+        }
+      }
+      im.recordTowerAdded(towers, `Import ${towers.length} towers`);
+      if (towers.length) {
+        this.viewer.flyTo(towers);
+      }
+
+      const strung = connect ? `, ${spans} spans` : "";
+      const skipped = errors.length
+        ? `; ${errors.length} problem(s), first: ${errors[0]}`
+        : "";
+      const unchecked = review.length
+        ? `; check the base of ${review.length} tower(s) set on the surface without terrain: ${review.join(", ")}`
+        : "";
+      this.uiManager.setExportStatus(
+        `Imported ${towers.length} towers${strung}${skipped}${unchecked}`,
+      );
+    } catch (err) {
+      console.error("Failed to import towers:", err);
+      this.uiManager.setExportStatus(
+        `Could not import ${file.name}: ${err.message}`,
+      );
+    } finally {
+      document.body.style.cursor = cursor;
+    }
+  }
+}
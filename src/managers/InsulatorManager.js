@@ -0,0 +1,300 @@
+import {
+  ArcType,
+  CallbackProperty,
+  Cartesian2,
+  Cartesian3,
+  Color,
+  DistanceDisplayCondition,
+  JulianDate,
+  Matrix3,
+  Matrix4,
+  Transforms,
+  VerticalOrigin,
+  Math as CesiumMath,
+} from "cesium";
+import { computeBundleLoad, windPressureFromSpeed } from "../utils/loading.js";
+import { getTowerType } from "../utils/towerTypes.js";
+import {
+  INSULATOR_TYPES,
+  createInsulatorString,
+  insulatorGeometry,
+  solveInsulatorSwing,
+} from "../utils/insulators.js";
+
+/**
+ * Suspension insulator strings between the tower attachment points and the
+ * conductors. A string hangs at every attachment of a suspension or angle
+ * structure that carries a conductor on both sides; dead-ends and line ends
+ * hold the conductor at the attachment point itself.
+ */
+export class InsulatorManager {
+  constructor(viewer, interactionManager, uiManager) {
+    this.viewer = viewer;
+    this.interactionManager = interactionManager;
+    this.uiManager = uiManager;
+    this.insulators = new Map();
+    this.options = uiManager.getInsulatorOptions();
+  }
+
+  //string settings from the panel, applied to every string
+  setOptions(options) {
+    this.options = options;
+    this.insulators.forEach((insulator) => {
+      insulator.string = createInsulatorString(options);
+      insulator.time = null;
+    });
+  }
+
+  /**
+   * Point where a conductor is held at a tower: the end of its insulator
+   * string, or the attachment point itself when no string hangs there
+   * @param {Entity} tower
+   * @param {Object} attachment attachment point of the tower type
+   * @param {JulianDate} time
+   * @returns {Cartesian3|null}
+   */
+  getConductorPoint(tower, attachment, time) {
+    const insulator = this.getInsulator(tower, attachment.id);
+    this.update(insulator, time);
+    return insulator.active ? insulator.end : insulator.top;
+  }
+
+  getInsulator(tower, attachmentId) {
+    const key = `${tower.id}|${attachmentId}`;
+    let insulator = this.insulators.get(key);
+    if (!insulator) {
+      insulator = {
+        tower,
+        attachmentId,
+        string: createInsulatorString(this.options),
+        active: false,
+        top: null,
+        end: null,
+        points: [],
+        swingAngle: 0, //deg
+        time: null,
+      };
+      insulator.entity = this.createEntity(insulator);
+      this.insulators.set(key, insulator);
+    }
+    return insulator;
+  }
+
+  //drop the strings of a removed tower, they are rebuilt on demand if it comes back
+  removeTower(tower) {
+    this.insulators.forEach((insulator, key) => {
+      if (insulator.tower === tower) {
+        this.viewer.entities.remove(insulator.entity);
+        this.insulators.delete(key);
+      }
+    });
+  }
+
+  createEntity(insulator) {
+    return this.viewer.entities.add({
+      position: new CallbackProperty(() => insulator.end, false),
+      polyline: {
+        positions: new CallbackProperty((time) => {
+          this.update(insulator, time);
+          return insulator.points;
+        }, false),
+        width: 4,
+        material: new Color(0.55, 0.75, 0.6, 1.0),
+        arcType: ArcType.NONE,
+      },
+      label: {
+        text: new CallbackProperty(
+          () => `${insulator.swingAngle.toFixed(1)}°`,
+          false,
+        ),
+        font: "11px monospace",
+        fillColor: Color.WHITE,
+        showBackground: true,
+        backgroundColor: new Color(0.1, 0.1, 0.1, 0.7),
+        verticalOrigin: VerticalOrigin.TOP,
+        pixelOffset: new Cartesian2(0, 8),
+        distanceDisplayCondition: new DistanceDisplayCondition(0, 400),
+        show: new CallbackProperty(
+          () => insulator.active && insulator.swingAngle > 0.1,
+          false,
+        ),
+      },
+    });
+  }
+
+  //conductors held at the attachment point, with the end of their span that is at this tower
+  getAdjacentLines(insulator) {
+    const { tower, attachmentId } = insulator;
+    const adjacent = [];
+    this.interactionManager.lines.forEach((lineData) => {
+      if (
+        lineData.entity1 === tower &&
+        lineData.attachmentIds[0] === attachmentId
+      ) {
+        adjacent.push({ lineData, atStart: true });
+      } else if (
+        lineData.entity2 === tower &&
+        lineData.attachmentIds[1] === attachmentId
+      ) {
+        adjacent.push({ lineData, atStart: false });
+      }
+    });
+    return adjacent;
+  }
+
+  update(insulator, time) {
+    if (insulator.time && JulianDate.equals(time, insulator.time)) {
+      return;
+    }
+    insulator.time = JulianDate.clone(time, insulator.time || undefined);
+
+    const { tower, string } = insulator;
+    const attachment = this.interactionManager.getAttachment(
+      tower,
+      insulator.attachmentId,
+    );
+    insulator.top = attachment
+      ? this.interactionManager.computeModuleWorldPos(tower, attachment, time)
+      : null;
+
+    const adjacent = this.getAdjacentLines(insulator);
+    const structureClass = getTowerType(
+      this.interactionManager.getTowerTypeId(tower),
+    ).structureClass;
+    insulator.active =
+      !!insulator.top &&
+      this.options.type !== "none" &&
+      structureClass !== "dead-end" &&
+      adjacent.length >= 2;
+
+    if (!insulator.active) {
+      insulator.points = [];
+      insulator.swingAngle = 0;
+      return;
+    }
+
+    const swing = this.computeSwing(insulator, adjacent);
+    const orientation = tower.orientation.getValue(time);
+    const crossarm = Matrix3.getColumn(
+      Matrix3.fromQuaternion(orientation),
+      1,
+      new Cartesian3(),
+    );
+    const geometry = insulatorGeometry(insulator.top, string, swing, crossarm);
+    insulator.end = geometry.end;
+    insulator.points = geometry.points;
+    insulator.swingAngle = INSULATOR_TYPES[string.type].swings
+      ? CesiumMath.toDegrees(swing.angle)
+      : 0;
+  }
+
+  //loads at the bottom of the string from the last solution of its conductors:
+  //weight spans (support reactions), wind spans (half of each span) and the line angle
+  computeSwing(insulator, adjacent) {
+    const { top, string } = insulator;
+    const up = Cartesian3.normalize(top, new Cartesian3());
+    const toHorizontal = (vector) =>
+      Cartesian3.subtract(
+        vector,
+        Cartesian3.multiplyByScalar(
+          up,
+          Cartesian3.dot(vector, up),
+          new Cartesian3(),
+        ),
+        new Cartesian3(),
+      );
+    const addScaled = (target, vector, scale) =>
+      Cartesian3.add(
+        target,
+        Cartesian3.multiplyByScalar(vector, scale, new Cartesian3()),
+        target,
+      );
+
+    const loadCase = this.uiManager.getLoadCase();
+    const wind = this.uiManager.getWind();
+
+    //unit vector the wind blows toward, from its bearing
+    const enu = Matrix4.getMatrix3(
+      Transforms.eastNorthUpToFixedFrame(top),
+      new Matrix3(),
+    );
+    const bearing = CesiumMath.toRadians(wind.direction);
+    const windToward = new Cartesian3();
+    addScaled(
+      windToward,
+      Matrix3.getColumn(enu, 0, new Cartesian3()),
+      -Math.sin(bearing),
+    );
+    addScaled(
+      windToward,
+      Matrix3.getColumn(enu, 1, new Cartesian3()),
+      -Math.cos(bearing),
+    );
+
+    const windPressure =
+      loadCase.windPressure || windPressureFromSpeed(wind.speed);
+    let vertical = string.weight / 2;
+    const horizontal = Cartesian3.multiplyByScalar(
+      windToward,
+      (windPressure * string.windArea) / 2,
+      new Cartesian3(),
+    );
+
+    adjacent.forEach(({ lineData, atStart }) => {
+      const meta = lineData.lastMetadata;
+      if (!meta || !meta.supports || !lineData.start || !lineData.end) {
+        return;
+      }
+      const away = toHorizontal(
+        atStart
+          ? Cartesian3.subtract(lineData.end, lineData.start, new Cartesian3())
+          : Cartesian3.subtract(lineData.start, lineData.end, new Cartesian3()),
+      );
+      const spanLength = Cartesian3.magnitude(away);
+      if (spanLength < 0.1) {
+        return;
+      }
+      const direction = Cartesian3.divideByScalar(
+        away,
+        spanLength,
+        new Cartesian3(),
+      );
+
+      //each span loads the string with all sub-conductors of its own bundle and conductor
+      const count = lineData.bundle.count;
+      const load = computeBundleLoad(
+        lineData.options,
+        count,
+        loadCase,
+        wind.speed,
+      );
+
+      //support reaction over the resultant unit load is the weight span length
+      const support = meta.supports[atStart ? 0 : 1];
+      const weightSpan =
+        support.vertical / (lineData.lastLoad || load.resultant / count);
+      vertical += load.vertical * weightSpan;
+
+      //the horizontal tension pulls toward each span, their sum is the line angle load
+      addScaled(horizontal, direction, meta.hTension * count);
+
+      //crossflow wind on half the span, normal to it
+      const normal = Cartesian3.subtract(
+        windToward,
+        Cartesian3.multiplyByScalar(
+          direction,
+          Cartesian3.dot(windToward, direction),
+          new Cartesian3(),
+        ),
+        new Cartesian3(),
+      );
+      addScaled(
+        horizontal,
+        normal,
+        load.transverse * Cartesian3.magnitude(normal) * (spanLength / 2),
+      );
+    });
+
+    return solveInsulatorSwing(vertical, horizontal);
+  }
+}
@@ -1,7 +1,6 @@
 import {
   ScreenSpaceEventHandler,
   ScreenSpaceEventType,
-  IonResource,
   Color,
   ColorMaterialProperty,
   Cartesian3,
@@ -15,21 +14,41 @@ import {
   HeadingPitchRoll,
   Matrix4,
   Matrix3,
+  PolygonHierarchy,
+  ArcType,
   Math as CesiumMath,
 } from "cesium";
-import { createTransmissionLine } from "../utils/catenary.js";
+import {
+  createBlowoutEnvelope,
+  computeRulingSpan,
+  computeSpanWindLoad,
+} from "../utils/catenary.js";
 import { TransformGizmo } from "../utils/TransformGizmo.js";
-
-//Tower Local Offsets (these are the connection points on the model, 3 phases each side)
-const TOWER_OFFSETS = [
-  { x: 0.21, y: 6.09, z: 45.47, label: true, id: "L1" },
-  { x: 0.35, y: 6.4, z: 36.61, label: false, id: "L2" },
-  { x: 0.39, y: 6.97, z: 28.53, label: false, id: "L3" },
-
-  { x: 0.2, y: -6.09, z: 45.49, label: false, id: "R1" },
-  { x: 0.33, y: -6.38, z: 36.56, label: false, id: "R2" },
-  { x: 0.44, y: -6.93, z: 27.96, label: false, id: "R3" },
-];
+import { SolverManager } from "./SolverManager.js";
+import { InsulatorManager } from "./InsulatorManager.js";
+import { HistoryManager } from "./HistoryManager.js";
+import { ProjectManager } from "./ProjectManager.js";
+import { LineSection, createSectionLine } from "../utils/lineSection.js";
+import {
+  createBundle,
+  spacerIndices,
+  subConductorOffsets,
+} from "../utils/bundle.js";
+import { computeUnitLoad } from "../utils/loading.js";
+import {
+  DEFAULT_TOWER_TYPE,
+  getTowerScale,
+  getTowerType,
+  pairAttachments,
+  resolveTowerModel,
+} from "../utils/towerTypes.js";
+
+//conductor colors of the three phases when the display shows phases
+const PHASE_COLORS = {
+  A: Color.RED,
+  B: Color.YELLOW,
+  C: Color.DODGERBLUE,
+};
 
 export class InteractionManager {
   constructor(viewer, uiManager, weatherManager) {
@@ -42,8 +61,16 @@ export class InteractionManager {
     this.placeMode = false;
     this.connectMode = false;
     this.lines = [];
+    this.spans = [];
+    this.sections = [];
 
     this.gizmo = new TransformGizmo(viewer);
+    this.solver = new SolverManager(viewer.scene);
+    this.insulators = new InsulatorManager(viewer, this, uiManager);
+    this.history = new HistoryManager(uiManager);
+    this.projectManager = new ProjectManager(this, uiManager);
+    this._highlighted = new Set();
+    this._nextLineId = 1;
 
     this.initialize();
   }
@@ -53,6 +80,31 @@ export class InteractionManager {
       this.handleInput.bind(this),
       ScreenSpaceEventType.LEFT_CLICK,
     );
+    this.viewer.scene.preRender.addEventListener(() =>
+      this.updateAutoHeadings(),
+    );
+    document.addEventListener("keydown", (event) => {
+      const tag = event.target?.tagName;
+      if (
+        event.key === "Delete" &&
+        tag !== "INPUT" &&
+        tag !== "TEXTAREA" &&
+        tag !== "SELECT"
+      ) {
+        this.deleteSelection();
+      }
+    });
+
+    //a gizmo drag is one edit, from the pose at mouse down to the pose at mouse up
+    this.gizmo.onTransformStart = (tower) => {
+      this._poseBefore = this.getTowerPose(tower);
+    };
+    this.gizmo.onTransformEnd = (tower) => {
+      if (this._poseBefore) {
+        this.recordPoseChange(tower, this._poseBefore);
+        this._poseBefore = null;
+      }
+    };
   }
 
   enablePlaceMode() {
@@ -71,7 +123,9 @@ export class InteractionManager {
     this.viewer.canvas.style.cursor = "crosshair";
   }
 
-  enablePickMode() {
+  //onPick(entity, localOffset) receives the offset of the next click on a tower, in its local frame
+  enablePickMode(onPick) {
+    this._onPick = onPick || null;
     this.pickMode = true;
     this.placeMode = false;
     this.connectMode = false;
@@ -85,6 +139,7 @@ export class InteractionManager {
     this.placeMode = false;
     this.connectMode = false;
     this.pickMode = false;
+    this._onPick = null;
     this.selectedObjects = [];
     this.viewer.canvas.style.cursor = "";
     if (this.uiManager && this.uiManager.setCursorModeActive) {
@@ -121,9 +176,10 @@ export class InteractionManager {
           new Matrix4(),
         );
         const invModelMatrix = Matrix4.inverse(modelMatrix, new Matrix4());
-        const localPos = Matrix4.multiplyByPoint(
-          invModelMatrix,
-          pickPos,
+        //back to the frame of the tower type, as attachment points are kept unscaled
+        const localPos = Cartesian3.divideByScalar(
+          Matrix4.multiplyByPoint(invModelMatrix, pickPos, new Cartesian3()),
+          this.getTowerScale(entity),
           new Cartesian3(),
         );
 
@@ -131,8 +187,6 @@ export class InteractionManager {
         const y = localPos.y.toFixed(2);
         const z = localPos.z.toFixed(2);
 
-        console.log(`Picked Local Offset: x: ${x}, y: ${y}, z: ${z}`);
-
         if (this.uiManager.pickResult) {
           this.uiManager.pickResult.textContent = `x: ${x}, y: ${y}, z: ${z}`;
           this.uiManager.pickResult.style.color = "#44ff44";
@@ -143,6 +197,10 @@ export class InteractionManager {
           point: { pixelSize: 10, color: Color.YELLOW },
           lifetime: 5.0,
         });
+
+        if (this._onPick && this.placedObjects.includes(entity)) {
+          this._onPick(entity, localPos);
+        }
       }
     }
     this.resetMode();
@@ -160,39 +218,269 @@ export class InteractionManager {
       return;
     }
 
+    const lineData =
+      picked &&
+      picked.id &&
+      this.lines.find(
+        (l) =>
+          l.entity === picked.id ||
+          l.envelopeEntity === picked.id ||
+          l.subEntities.includes(picked.id) ||
+          l.spacerEntities.includes(picked.id),
+      );
+
+    this.highlightLines([]);
     if (picked && picked.id && this.placedObjects.includes(picked.id)) {
+      this.selectSpan(null);
       this.updateSelectionUI(picked.id);
       this.gizmo.setTarget(picked.id);
+    } else if (lineData) {
+      this.clearTowerSelection();
+      this.selectSpan(lineData.span);
     } else {
-      if (this.uiManager.transformTool) {
-        this.uiManager.transformTool.style.display = "none";
-      }
-      this._currentSelectedEntity = null;
-      this.gizmo.setTarget(null);
+      this.clearTowerSelection();
+      this.selectSpan(null);
+    }
+    this.projectManager.showSelection(lineData ? lineData.span : null);
+  }
+
+  //conductors drawn highlighted, for items of the project selected in the tree
+  highlightLines(lines) {
+    this._highlighted = new Set(lines);
+  }
+
+  clearTowerSelection() {
+    if (this.uiManager.transformTool) {
+      this.uiManager.transformTool.style.display = "none";
+    }
+    this.uiManager.hideTowerInspector();
+    this._currentSelectedEntity = null;
+    this.gizmo.setTarget(null);
+  }
+
+  //the selected span is highlighted and shown in the span inspector, null deselects
+  selectSpan(span) {
+    this._selectedSpan = span;
+    if (!span) {
+      this.uiManager.hideSpanInspector();
+      return;
+    }
+    const section = span.section;
+    this.uiManager.showSpanInspector(
+      section.options,
+      `${section.name}, ${section.spans.length} span(s) share its design`,
+    );
+    this.uiManager.setBundleInputs(span.bundle);
+
+    //rows show the phase each conductor carries, columns the phase of the point on the next tower
+    const carried = (id) =>
+      span.lines.find((lineData) => lineData.attachmentIds[0] === id)?.phase;
+    const rows = getTowerType(this.getTowerTypeId(span.entity1)).attachments;
+    const columns = getTowerType(this.getTowerTypeId(span.entity2)).attachments;
+    this.uiManager.renderPhaseMatrix(
+      rows.map((a) => ({ id: a.id, phase: carried(a.id) || a.phase })),
+      columns.map((a) => ({ id: a.id, phase: a.phase })),
+      span.lines.map((lineData) => lineData.attachmentIds),
+      (pairs) => this.updateSelectedSpanPhases(pairs),
+    );
+  }
+
+  //pairs of attachment ids to string, null for the default mapping
+  updateSelectedSpanPhases(pairs) {
+    const span = this._selectedSpan;
+    if (!span || (!pairs && !span.phaseMap)) {
+      return;
+    }
+    const before = span.phaseMap || null;
+    this.setPhaseMap(span, pairs);
+    this.history.record({
+      label: pairs ? "Edit phase mapping" : "Reset phase mapping",
+      undo: () => this.setPhaseMap(span, before),
+      redo: () => this.setPhaseMap(span, pairs),
+    });
+  }
+
+  updateSelectedSpanBundle(bundle) {
+    const span = this._selectedSpan;
+    if (!span) {
+      return;
+    }
+    const before = span.bundle;
+    this.setSpanBundle(span, bundle);
+    this.history.record({
+      label: "Edit bundle",
+      undo: () => this.setSpanBundle(span, before),
+      redo: () => this.setSpanBundle(span, bundle),
+    });
+  }
+
+  setSpanBundle(span, bundle) {
+    const selected = this._selectedSpan === span;
+    span.bundle = createBundle(bundle);
+    this.removeSpan(span);
+    this.addSpan(span);
+    if (selected) {
+      this.selectSpan(span);
+    }
+  }
+
+  setPhaseMap(span, pairs) {
+    const selected = this._selectedSpan === span;
+    span.phaseMap = pairs ? pairs.map((pair) => [...pair]) : null;
+    this.removeSpan(span);
+    this.addSpan(span);
+    if (selected) {
+      this.selectSpan(span);
+    }
+  }
+
+  //delete the selected tower with its spans, or the selected span
+  deleteSelection() {
+    if (this._currentSelectedEntity) {
+      this.deleteTower(this._currentSelectedEntity);
+    } else if (this._selectedSpan) {
+      this.deleteSpan(this._selectedSpan);
+    }
+  }
+
+  deleteTower(tower) {
+    if (!this.placedObjects.includes(tower)) {
+      return;
+    }
+    const spans = this.removeTower(tower);
+    this.history.record({
+      label: "Delete tower",
+      undo: () => this.restoreTower(tower, spans),
+      redo: () => this.removeTower(tower),
+    });
+  }
+
+  deleteSpan(span) {
+    if (!this.spans.includes(span)) {
+      return;
+    }
+    this.removeSpan(span);
+    this.history.record({
+      label: "Delete span",
+      undo: () => this.addSpan(span),
+      redo: () => this.removeSpan(span),
+    });
+  }
+
+  //apply the span inspector to the selected span
+  updateSelectedSpan(input) {
+    const span = this._selectedSpan;
+    if (!span) {
+      return;
+    }
+    const before = { ...span.section.options };
+    const conductor = input.conductor
+      ? this.uiManager.getConductorOptions(input.conductor)
+      : {};
+    const options = {
+      ...before,
+      ...conductor,
+      mode: input.mode,
+      hTension: input.hTension,
+      sagRatio: input.sagRatio,
+      lengthMeters: input.lengthMeters,
+    };
+    this.setSpanOptions(span, options);
+    this.history.record({
+      label: "Edit span",
+      undo: () => this.setSpanOptions(span, before),
+      redo: () => this.setSpanOptions(span, options),
+    });
+  }
+
+  /**
+   * Restring a span with new line options. The design (mode and tension) is
+   * shared by the whole section; a new conductor takes the span out of its
+   * section into one strung with that conductor.
+   * @param {Object} span
+   * @param {Object} options line options as from UIManager.getLineOptions()
+   */
+  setSpanOptions(span, options) {
+    const selected = this._selectedSpan === span;
+    if (!span.section.accepts(options)) {
+      this.removeSpan(span);
+      span.options = { ...options };
+      this.addSpan(span);
+    }
+    const section = span.section;
+    section.setOptions(options);
+    section.spans.forEach((s) => {
+      s.options = { ...options };
+      s.lines.forEach((lineData) => {
+        lineData.options = { ...options, mode: "physics" };
+        lineData.lastRequest = null;
+      });
+    });
+    if (selected) {
+      this.selectSpan(span);
     }
   }
 
   async handlePlaceObject(click) {
     const pickPosition = this.viewer.scene.pickPosition(click.position);
     if (pickPosition) {
-      await this.placeTower(pickPosition);
+      const tower = await this.placeTower(pickPosition);
+      if (tower) {
+        this.recordTowerAdded([tower], "Place tower");
+      }
       this.resetMode();
     }
   }
 
-  async placeTower(position) {
-    try {
-      const resource = await IonResource.fromAssetId(3512572);
+  //record towers that were just added; undo removes them with their spans
+  recordTowerAdded(towers, label) {
+    let removed = [];
+    this.history.record({
+      label,
+      undo: () => {
+        removed = towers.map((tower) => [tower, this.removeTower(tower)]);
+      },
+      redo: () => {
+        removed.forEach(([tower]) => this.restoreTower(tower));
+        removed.forEach(([tower, spans]) => this.restoreTower(tower, spans));
+      },
+    });
+  }
 
-      const hpr = new HeadingPitchRoll(0, 0, 0);
+  /**
+   * Place a tower with its base at a position
+   * @param {Cartesian3} position
+   * @param {{typeId?: string, headingDegrees?: number, attributes?: Object}} [options] attributes are kept as entity properties, like the id and height of a surveyed tower
+   * @returns {Promise<Entity|null>}
+   */
+  async placeTower(position, options = {}) {
+    try {
+      const typeId = options.typeId || this.uiManager.getTowerTypeId();
+      const towerType = getTowerType(typeId);
+      const resource = await resolveTowerModel(towerType);
+      const headingDegrees = options.headingDegrees || 0;
+      //towers follow the line unless placed with an explicit heading
+      const autoHeading = options.headingDegrees === undefined;
+
+      const hpr = new HeadingPitchRoll(
+        CesiumMath.toRadians(headingDegrees),
+        0,
+        0,
+      );
       const orientation = Transforms.headingPitchRollQuaternion(position, hpr);
+      const scale =
+        (towerType.model.scale ?? 1) *
+        getTowerScale(towerType, options.attributes?.structureHeight);
 
       const entity = this.viewer.entities.add({
         position: position,
         orientation: orientation,
-        model: { uri: resource, scale: 7 },
+        model: { uri: resource, scale: scale },
         properties: {
-          headingDegrees: 0,
+          ...options.attributes,
+          headingDegrees: headingDegrees,
+          autoHeading: autoHeading,
+          towerType: typeId,
         },
       });
       this.placedObjects.push(entity);
@@ -227,21 +515,184 @@ export class InteractionManager {
       }
 
       if (this.selectedObjects.length === 2) {
-        this.createConnection();
+        const span = this.createConnection();
+        if (span) {
+          this.history.record({
+            label: "Connect towers",
+            undo: () => this.removeSpan(span),
+            redo: () => this.addSpan(span),
+          });
+        }
       }
     }
   }
 
   updateSelectionUI(entity) {
     this._currentSelectedEntity = entity;
+    this.uiManager.showTowerInspector({
+      typeId: this.getTowerTypeId(entity),
+      heading: entity.properties?.headingDegrees?.getValue() || 0,
+      autoHeading: this.isAutoHeading(entity),
+    });
   }
 
+  //a heading typed in by hand takes the tower off automatic heading
   updateSelectedTowerHeading(degrees) {
-    if (!this._currentSelectedEntity) {
+    const tower = this._currentSelectedEntity;
+    if (!tower) {
+      return;
+    }
+    const before = this.getTowerPose(tower);
+    this.setTowerPose(tower, {
+      ...before,
+      heading: degrees,
+      autoHeading: false,
+    });
+    this.recordPoseChange(tower, before, "Set heading");
+  }
+
+  setSelectedTowerAutoHeading(enabled) {
+    const tower = this._currentSelectedEntity;
+    if (!tower) {
+      return;
+    }
+    const before = this.getTowerPose(tower);
+    tower.properties.autoHeading = enabled;
+    this.recordPoseChange(tower, before, "Auto heading");
+  }
+
+  getTowerPose(tower) {
+    const position = tower.position.getValue(JulianDate.now());
+    return {
+      position: position && Cartesian3.clone(position),
+      heading: tower.properties.headingDegrees?.getValue() || 0,
+      autoHeading: this.isAutoHeading(tower),
+    };
+  }
+
+  setTowerPose(tower, pose) {
+    if (pose.position) {
+      tower.position = Cartesian3.clone(pose.position);
+    }
+    tower.properties.autoHeading = pose.autoHeading;
+    this.setTowerHeading(tower, pose.heading);
+    if (tower === this._currentSelectedEntity) {
+      this.updateSelectionUI(tower);
+    }
+  }
+
+  //record a pose edit that has been applied, unless nothing changed
+  recordPoseChange(tower, before, label) {
+    const after = this.getTowerPose(tower);
+    const moved =
+      before.position &&
+      after.position &&
+      !Cartesian3.equalsEpsilon(before.position, after.position, 0, 1e-3);
+    if (
+      !moved &&
+      before.heading === after.heading &&
+      before.autoHeading === after.autoHeading
+    ) {
       return;
     }
+    this.history.record({
+      label: label || (moved ? "Move tower" : "Rotate tower"),
+      undo: () => this.setTowerPose(tower, before),
+      redo: () => this.setTowerPose(tower, after),
+    });
+  }
+
+  isAutoHeading(entity) {
+    return !!entity.properties?.autoHeading?.getValue();
+  }
+
+  //turn towers on automatic heading to follow the line as their neighbours move
+  updateAutoHeadings() {
+    const time = this.viewer.clock.currentTime;
+    this.placedObjects.forEach((tower) => {
+      if (!this.isAutoHeading(tower)) {
+        return;
+      }
+      const heading = this.computeAutoHeading(tower, time);
+      if (heading === null) {
+        return;
+      }
+      const current = tower.properties.headingDegrees?.getValue() || 0;
+      const change = CesiumMath.negativePiToPi(
+        CesiumMath.toRadians(heading - current),
+      );
+      if (Math.abs(change) > CesiumMath.toRadians(0.05)) {
+        this.setTowerHeading(tower, heading);
+        if (tower === this._currentSelectedEntity) {
+          this.uiManager.setInspectorHeading(heading);
+        }
+      }
+    });
+  }
+
+  /**
+   * Heading (deg) that points the x axis of a tower along the line, so its
+   * crossarm bisects the angle between the incoming and outgoing spans. End
+   * towers align with their only span when the option is on.
+   * @param {Entity} tower
+   * @param {JulianDate} time
+   * @returns {number|null} null when the tower has no span to follow
+   */
+  computeAutoHeading(tower, time) {
+    const position = tower.position.getValue(time);
+    const incoming = this.spans.find((span) => span.entity2 === tower);
+    const outgoing = this.spans.find((span) => span.entity1 === tower);
+    if (!position || (!incoming && !outgoing)) {
+      return null;
+    }
+    if (
+      (!incoming || !outgoing) &&
+      !this.uiManager.alignEndTowersCheckbox?.checked
+    ) {
+      return null;
+    }
+
+    //horizontal unit vectors in the east-north plane of the tower
+    const toLocal = Matrix4.inverse(
+      Transforms.eastNorthUpToFixedFrame(position),
+      new Matrix4(),
+    );
+    const direction = (from, to) => {
+      const local = Matrix4.multiplyByPointAsVector(
+        toLocal,
+        Cartesian3.subtract(to, from, new Cartesian3()),
+        new Cartesian3(),
+      );
+      local.z = 0;
+      return Cartesian3.magnitude(local) > 1e-6
+        ? Cartesian3.normalize(local, local)
+        : local;
+    };
+
+    const previous = incoming?.entity1.position.getValue(time);
+    const next = outgoing?.entity2.position.getValue(time);
+    const inDirection = previous
+      ? direction(previous, position)
+      : new Cartesian3();
+    const outDirection = next ? direction(position, next) : new Cartesian3();
+
+    let along = Cartesian3.add(inDirection, outDirection, new Cartesian3());
+    //a line that doubles back has no bisector, follow the incoming span
+    if (Cartesian3.magnitude(along) < 1e-6) {
+      along = previous ? inDirection : outDirection;
+    }
+    if (Cartesian3.magnitude(along) < 1e-6) {
+      return null;
+    }
 
-    const entity = this._currentSelectedEntity;
+    //heading 0 points the x axis east, bearings count clockwise from north
+    const bearing = Math.atan2(along.x, along.y);
+    return CesiumMath.toDegrees(
+      CesiumMath.zeroToTwoPi(bearing - CesiumMath.PI_OVER_TWO),
+    );
+  }
+
+  setTowerHeading(entity, degrees) {
     const position = entity.position.getValue(JulianDate.now());
     if (!position) {
       return;
@@ -258,7 +709,131 @@ export class InteractionManager {
     entity.properties.headingDegrees = degrees;
   }
 
-  //local offset (right, forward, up) to world coordinate
+  getTowerTypeId(entity) {
+    return entity.properties?.towerType?.getValue() || DEFAULT_TOWER_TYPE;
+  }
+
+  //scale of a tower built to a surveyed structure height, see getTowerScale of towerTypes
+  getTowerScale(entity) {
+    return getTowerScale(
+      getTowerType(this.getTowerTypeId(entity)),
+      entity.properties?.structureHeight?.getValue(),
+    );
+  }
+
+  getAttachment(entity, attachmentId) {
+    return getTowerType(this.getTowerTypeId(entity)).attachments.find(
+      (a) => a.id === attachmentId,
+    );
+  }
+
+  async updateSelectedTowerType(typeId) {
+    const tower = this._currentSelectedEntity;
+    if (!tower) {
+      return;
+    }
+    const previous = this.getTowerTypeId(tower);
+    if (previous === typeId) {
+      return;
+    }
+    await this.setTowerType(tower, typeId);
+    this.history.record({
+      label: "Change tower type",
+      undo: () => this.setTowerType(tower, previous),
+      redo: () => this.setTowerType(tower, typeId),
+    });
+  }
+
+  //swap the model of a tower and restring its spans between the attachment points of the new type
+  async setTowerType(entity, typeId) {
+    const towerType = getTowerType(typeId);
+    const resource = await resolveTowerModel(towerType);
+
+    const resection =
+      getTowerType(this.getTowerTypeId(entity)).structureClass !==
+      towerType.structureClass;
+    entity.model.uri = resource;
+    entity.properties.towerType = typeId;
+    entity.model.scale =
+      (towerType.model.scale ?? 1) * this.getTowerScale(entity);
+    this.restringTowers([entity], { resection });
+  }
+
+  /**
+   * Rebuild the conductors of every span touching the towers, after their
+   * attachment points changed. The spans keep their place in the list and
+   * their section, unless resection is set for a tower whose structure class
+   * changed, which can split or join sections at it.
+   * @param {Entity[]} towers
+   * @param {{resection?: boolean}} [options]
+   */
+  restringTowers(towers, { resection = false } = {}) {
+    const spans = this.spans.filter(
+      (span) => towers.includes(span.entity1) || towers.includes(span.entity2),
+    );
+    const selected = this._selectedSpan;
+    if (resection) {
+      const order = [...this.spans];
+      spans.forEach((span) => {
+        this.removeSpan(span);
+        this.addSpan(span);
+      });
+      this.spans.sort((a, b) => order.indexOf(a) - order.indexOf(b));
+    } else {
+      spans.forEach((span) => {
+        this.removeSpanLines(span);
+        this.buildSpanLines(span);
+      });
+      this.updateCarriedPhases();
+    }
+    this.projectManager.update();
+    if (selected && spans.includes(selected)) {
+      this.selectSpan(selected);
+    }
+  }
+
+  /**
+   * Remove a tower with every span strung to it
+   * @param {Entity} tower
+   * @returns {Object[]} the removed spans, for restoreTower
+   */
+  removeTower(tower) {
+    const index = this.placedObjects.indexOf(tower);
+    if (index < 0) {
+      return [];
+    }
+    const spans = this.spans.filter(
+      (span) => span.entity1 === tower || span.entity2 === tower,
+    );
+    spans.forEach((span) => this.removeSpan(span));
+    this.insulators.removeTower(tower);
+
+    this.placedObjects.splice(index, 1);
+    this.viewer.entities.remove(tower);
+    if (this._currentSelectedEntity === tower) {
+      this._currentSelectedEntity = null;
+      this.gizmo.setTarget(null);
+      this.uiManager.hideTowerInspector();
+    }
+    return spans;
+  }
+
+  //remove every tower and span, before a project is loaded
+  clearScene() {
+    [...this.placedObjects].forEach((tower) => this.removeTower(tower));
+    this.resetMode();
+  }
+
+  //put back a tower taken out by removeTower, with its spans
+  restoreTower(tower, spans = []) {
+    if (!this.placedObjects.includes(tower)) {
+      this.viewer.entities.add(tower);
+      this.placedObjects.push(tower);
+    }
+    spans.forEach((span) => this.addSpan(span));
+  }
+
+  //local offset (right, forward, up) of the tower type to world coordinate, scaled with the tower
   computeModuleWorldPos(entity, localOffset, time) {
     const position = entity.position.getValue(time);
     const orientation = entity.orientation.getValue(time);
@@ -272,12 +847,24 @@ export class InteractionManager {
       new Matrix4(),
     );
 
-    const local = new Cartesian3(localOffset.x, localOffset.y, localOffset.z);
+    const local = Cartesian3.multiplyByScalar(
+      new Cartesian3(localOffset.x, localOffset.y, localOffset.z),
+      this.getTowerScale(entity),
+      new Cartesian3(),
+    );
     const world = Matrix4.multiplyByPoint(modelMatrix, local, new Cartesian3());
     return world;
   }
 
-  createConnection(obj1, obj2) {
+  /**
+   * String a span between two towers
+   * @param {Entity} [obj1] first tower, else the first tower picked in connect mode
+   * @param {Entity} [obj2] second tower, else the second one picked
+   * @param {Object} [lineOptions] line options, else those of the panel
+   * @param {{phaseMap?: string[][], bundle?: Object}} [spanOptions] phase mapping and bundle of the span
+   * @returns {Object|undefined} the span
+   */
+  createConnection(obj1, obj2, lineOptions, spanOptions = {}) {
     const entity1 = obj1 || this.selectedObjects[0];
     const entity2 = obj2 || this.selectedObjects[1];
 
@@ -290,47 +877,134 @@ export class InteractionManager {
       entity2.model.color = Color.WHITE;
     }
 
-    const options = this.uiManager.getLineOptions();
+    const span = {
+      entity1: entity1,
+      entity2: entity2,
+      options: { ...(lineOptions || this.uiManager.getLineOptions()) },
+      lines: [],
+      section: null,
+      phaseMap: spanOptions.phaseMap || null,
+      bundle: createBundle(spanOptions.bundle),
+      name: "", //empty shows the span number
+      voltage: null, //kV, null takes the voltage of its section
+      owner: "",
+    };
+    this.addSpan(span);
+
+    this.resetMode();
+    return span;
+  }
+
+  //put a span (new, or removed earlier) into the scene: its section and its conductors
+  addSpan(span) {
+    if (this.spans.includes(span)) {
+      return;
+    }
+    this.spans.push(span);
+    this.assignSection(span, span.options);
+    this.buildSpanLines(span);
+    this.updateCarriedPhases();
+    this.projectManager.update();
+  }
+
+  /**
+   * Attachment points strung to each other by a span: its phase map when it
+   * has one, so phases can roll or be left unstrung, else the matching points
+   * of the two tower types. Mapped points the types no longer have are skipped.
+   * @param {Object} span
+   * @returns {Object[][]} [attachment1, attachment2] pairs
+   */
+  getSpanPairs(span) {
+    const type1 = getTowerType(this.getTowerTypeId(span.entity1));
+    const type2 = getTowerType(this.getTowerTypeId(span.entity2));
+    if (!span.phaseMap) {
+      return pairAttachments(type1, type2);
+    }
+    return span.phaseMap
+      .map(([id1, id2]) => [
+        type1.attachments.find((a) => a.id === id1),
+        type2.attachments.find((a) => a.id === id2),
+      ])
+      .filter(([attachment1, attachment2]) => attachment1 && attachment2);
+  }
+
+  //a conductor carries the phase of the conductor strung into its first attachment point,
+  //so phases follow transpositions; the first conductor of a line takes the phase of its point
+  updateCarriedPhases() {
+    const incoming = new Map();
+    this.lines.forEach((lineData) => {
+      incoming.set(
+        `${lineData.entity2.id}|${lineData.attachmentIds[1]}`,
+        lineData,
+      );
+    });
+    const resolve = (lineData, visited) => {
+      if (lineData.phase) {
+        return lineData.phase;
+      }
+      visited.add(lineData);
+      const [id1] = lineData.attachmentIds;
+      const previous = incoming.get(`${lineData.entity1.id}|${id1}`);
+      if (previous && !visited.has(previous)) {
+        return resolve(previous, visited);
+      }
+      return this.getAttachment(lineData.entity1, id1)?.phase || "?";
+    };
+    this.lines.forEach((lineData) => {
+      lineData.phase = null;
+    });
+    this.lines.forEach((lineData) => {
+      lineData.phase = resolve(lineData, new Set());
+    });
+  }
+
+  buildSpanLines(span) {
+    const { entity1, entity2, options } = span;
+
+    //each conductor runs between paired attachment points of the two towers
+    const pairs = this.getSpanPairs(span);
 
-    TOWER_OFFSETS.forEach((offset) => {
+    pairs.forEach(([attachment1, attachment2], index) => {
       const now = JulianDate.now();
-      const p1 = this.computeModuleWorldPos(entity1, offset, now);
-      const p2 = this.computeModuleWorldPos(entity2, offset, now);
+      const p1 = this.computeModuleWorldPos(entity1, attachment1, now);
+      const p2 = this.computeModuleWorldPos(entity2, attachment2, now);
+      const showLabel = index === 0;
 
       if (!p1 || !p2) {
         console.warn("Could not compute module position");
         return;
       }
 
-      const initialPositions = createTransmissionLine(p1, p2, options);
-
-      let initialLength = 0;
-      for (let i = 0; i < initialPositions.length - 1; i++) {
-        initialLength += Cartesian3.distance(
-          initialPositions[i],
-          initialPositions[i + 1],
-        );
-      }
-
       const lineData = {
+        id: this._nextLineId++,
         entity1: entity1,
         entity2: entity2,
-        localOffset: offset,
+        attachmentIds: [attachment1.id, attachment2.id],
+        phaseId: attachment1.id,
+        phase: attachment1.phase,
+        bundle: span.bundle,
+        subEntities: [],
+        spacerEntities: [],
+        subPositions: null,
         start: p1,
         end: p2,
-        refLength: initialLength,
-        refTemp: 20,
-        alpha: options.alpha,
-        designMode: options.mode, //'sag', 'tension', 'length'
-        designSagRatio: options.sagRatio,
-        designTension: options.hTension,
-        designWeight: options.linearWeight,
-
-        options: { ...options, mode: "length" },
+        span: span,
+        options: { ...options, mode: "physics" },
         lastTemp: null,
       };
 
       const midPoint = Cartesian3.midpoint(p1, p2, new Cartesian3());
+      const material = new ColorMaterialProperty(
+        new CallbackProperty((time) => {
+          if (span === this._selectedSpan || this._highlighted.has(lineData)) {
+            return Color.CYAN;
+          }
+          if (this.uiManager.showPhaseColorsCheckbox?.checked) {
+            return PHASE_COLORS[lineData.phase] || Color.WHITE;
+          }
+          return this.getLineColor(lineData.lastTemp || 20);
+        }, false),
+      );
 
       const entityDesc = {
         position: new CallbackProperty((time) => {
@@ -342,17 +1016,15 @@ export class InteractionManager {
         }, false),
         polyline: {
           positions: new CallbackProperty((time) => {
-            if (offset.label) {
+            if (showLabel) {
               this.drawLoadProfile(time);
             }
-            return this.updateLineGeometry(lineData, time);
+            const positions = this.updateLineGeometry(lineData, time);
+            //a bundle draws its first sub-conductor here, the others as entities of their own
+            return lineData.subPositions ? lineData.subPositions[0] : positions;
           }, false),
           width: 3,
-          material: new ColorMaterialProperty(
-            new CallbackProperty((time) => {
-              return this.getLineColor(lineData.lastTemp || 20);
-            }, false),
-          ),
+          material: material,
           clampToGround: false,
         },
         polylineVolume: {
@@ -386,32 +1058,237 @@ export class InteractionManager {
         },
       };
 
-      if (offset.label) {
+      const envelopeEntity = this.viewer.entities.add({
+        polygon: {
+          hierarchy: new CallbackProperty((time) => {
+            if (!this.uiManager.showBlowoutCheckbox?.checked) {
+              return new PolygonHierarchy([]);
+            }
+            this.updateLineGeometry(lineData, time);
+            return new PolygonHierarchy(
+              createBlowoutEnvelope(
+                lineData.start,
+                lineData.end,
+                lineData.lastMetadata,
+              ),
+            );
+          }, false),
+          perPositionHeight: true,
+          material: new Color(1.0, 0.6, 0.1, 0.25),
+          show: new CallbackProperty(() => {
+            return (
+              !!this.uiManager.showBlowoutCheckbox?.checked &&
+              Math.abs(lineData.lastMetadata?.swingAngle || 0) > 0.1
+            );
+          }, false),
+        },
+      });
+      lineData.envelopeEntity = envelopeEntity;
+
+      if (showLabel) {
         entityDesc.label = {
           text: new CallbackProperty(() => {
-            const temp = lineData.lastTemp !== null ? lineData.lastTemp : 20;
-            const meta = lineData.lastMetadata || {};
-            const sag = meta.sag ? meta.sag.toFixed(2) : "0.00";
-            const tension = meta.hTension ? Math.round(meta.hTension) : 0;
-            const name = lineData.options.name || "Conductor";
-
-            return `${name}\nTemp: ${temp.toFixed(1)}°C\nSag: ${sag} m\nTension: ${tension} N`;
+            return this.formatSpanLabel(lineData);
           }, false),
           font: "14px monospace",
           fillColor: Color.WHITE,
           showBackground: true,
-          backgroundColor: new Color(0.1, 0.1, 0.1, 0.7),
+          backgroundColor: new CallbackProperty(() => {
+            return this.getApproximation(span)
+              ? new Color(0.6, 0.35, 0.0, 0.8)
+              : new Color(0.1, 0.1, 0.1, 0.7);
+          }, false),
           verticalOrigin: VerticalOrigin.BOTTOM,
           pixelOffset: new Cartesian2(0, -20),
           distanceDisplayCondition: new DistanceDisplayCondition(0, 3000),
         };
       }
 
-      this.viewer.entities.add(entityDesc);
+      lineData.entity = this.viewer.entities.add(entityDesc);
+      for (let k = 1; k < span.bundle.count; k++) {
+        lineData.subEntities.push(
+          this.viewer.entities.add({
+            polyline: {
+              positions: new CallbackProperty(
+                () => (lineData.subPositions ? lineData.subPositions[k] : []),
+                false,
+              ),
+              width: 3,
+              material: material,
+            },
+          }),
+        );
+      }
       this.lines.push(lineData);
+      span.lines.push(lineData);
     });
+  }
 
-    this.resetMode();
+  //join a span to the sections that end and start at its towers, else start a new section.
+  //dead-end structures terminate a section, so spans never join across them
+  assignSection(span, options) {
+    const joins = (section, tower) =>
+      section.accepts(options) &&
+      getTowerType(this.getTowerTypeId(tower)).structureClass !== "dead-end";
+
+    const before = this.sections.find(
+      (s) => s.lastTower === span.entity1 && joins(s, span.entity1),
+    );
+    const after = this.sections.find(
+      (s) =>
+        s !== before && s.firstTower === span.entity2 && joins(s, span.entity2),
+    );
+
+    if (before) {
+      before.append(span);
+      if (after) {
+        after.spans.forEach((s) => before.append(s));
+        this.sections.splice(this.sections.indexOf(after), 1);
+      }
+      return before;
+    }
+    if (after) {
+      after.prepend(span);
+      return after;
+    }
+
+    //a span put back on its own returns to its old section, which keeps its name and line
+    const previous = span.previousSection;
+    const section =
+      previous && previous.spans.length === 0 && previous.accepts(options)
+        ? previous
+        : new LineSection(options);
+    section.append(span);
+    this.sections.push(section);
+    return section;
+  }
+
+  //take the conductors of a span out of the scene, leaving the span in place
+  removeSpanLines(span) {
+    span.lines.forEach((lineData) => {
+      this.solver.cancel(lineData.id);
+      this.viewer.entities.remove(lineData.entity);
+      this.viewer.entities.remove(lineData.envelopeEntity);
+      lineData.subEntities.forEach((entity) =>
+        this.viewer.entities.remove(entity),
+      );
+      lineData.spacerEntities.forEach((entity) =>
+        this.viewer.entities.remove(entity),
+      );
+      this.lines.splice(this.lines.indexOf(lineData), 1);
+    });
+    span.lines = [];
+  }
+
+  //remove a span with its conductors; a section broken in two by the removal is split
+  removeSpan(span) {
+    const index = this.spans.indexOf(span);
+    if (index < 0) {
+      return;
+    }
+    this.removeSpanLines(span);
+    this.spans.splice(index, 1);
+    if (this._selectedSpan === span) {
+      this.selectSpan(null);
+    }
+
+    const section = span.section;
+    const detached = section.remove(span);
+    span.previousSection = section;
+    if (section.spans.length === 0) {
+      detached.forEach((s) => section.append(s));
+    } else if (detached.length > 0) {
+      //the split off part stays on the same line of the project
+      const tail = new LineSection(section.options);
+      tail.line = section.line;
+      tail.voltage = section.voltage;
+      tail.owner = section.owner;
+      detached.forEach((s) => tail.append(s));
+      this.sections.push(tail);
+    }
+    if (section.spans.length === 0) {
+      this.sections.splice(this.sections.indexOf(section), 1);
+    }
+    this.updateCarriedPhases();
+    this.projectManager.update();
+  }
+
+  formatSpanLabel(lineData) {
+    const temp = lineData.lastTemp !== null ? lineData.lastTemp : 20;
+    const meta = lineData.lastMetadata || {};
+    const sag = meta.sag ? meta.sag.toFixed(2) : "0.00";
+    const tension = meta.hTension ? Math.round(meta.hTension) : 0;
+    const count = lineData.bundle.count;
+    const bundle = count > 1 ? `${count} × ` : "";
+    const name = `${bundle}${lineData.options.name || "Conductor"}`;
+    const loadCase = lineData.lastLoadCase || "Bare (weather)";
+    const spanLength = (lineData.lastSpanLength || 0).toFixed(1);
+    const rulingSpan = (lineData.lastRulingSpan || 0).toFixed(1);
+
+    let text = `${name} · ${loadCase}\nSpan: ${spanLength} m (RS ${rulingSpan} m)\nTemp: ${temp.toFixed(1)}°C\nSag: ${sag} m\nTension: ${tension} N${count > 1 ? " each" : ""}`;
+
+    if (meta.swingAngle) {
+      text += `\nSwing: ${Math.abs(meta.swingAngle).toFixed(1)}°`;
+    }
+    if (meta.supports) {
+      //loads on the towers are carried by every sub-conductor of a bundle
+      const [s1, s2] = meta.supports;
+      const kN = (value) => ((value * count) / 1000).toFixed(1);
+      text += `\nSupports: ${kN(s1.tension)} / ${kN(s2.tension)} kN`;
+      text += `\nV: ${kN(s1.vertical)} / ${kN(s2.vertical)} kN`;
+    }
+    if (meta.lowPoint) {
+      text += `\nLow point: ${meta.lowPoint.distance.toFixed(1)} m, ${meta.lowPoint.elevation.toFixed(1)} m`;
+    }
+    if (meta.uplift) {
+      text += "\n⚠ UPLIFT";
+    }
+    const approximation = this.getApproximation(lineData.span);
+    if (approximation) {
+      text += `\n⚠ APPROX: ${approximation}`;
+    }
+    return text;
+  }
+
+  //fallback reason of the first conductor of a span that is not drawn as a converged catenary
+  getApproximation(span) {
+    for (const lineData of span.lines) {
+      const meta = lineData.lastMetadata;
+      if (meta && meta.approximate) {
+        const solver = meta.solver || {};
+        return `${solver.fallbackReason || solver.method} (${lineData.phaseId})`;
+      }
+    }
+    return null;
+  }
+
+  //solved engineering results of every conductor, for reporting
+  getSpanResults() {
+    return this.lines.map((lineData) => {
+      const meta = lineData.lastMetadata || {};
+      return {
+        span: this.spans.indexOf(lineData.span) + 1,
+        section: lineData.span.section.name,
+        phase: lineData.phaseId,
+        carriedPhase: lineData.phase,
+        conductor: lineData.options.name,
+        bundle: lineData.bundle.count,
+        temperature: lineData.lastTemp,
+        spanLength: lineData.lastSpanLength,
+        rulingSpan: lineData.lastRulingSpan,
+        sag: meta.sag,
+        hTension: meta.hTension,
+        swingAngle: meta.swingAngle,
+        supports: meta.supports,
+        lowPoint: meta.lowPoint && {
+          distance: meta.lowPoint.distance,
+          elevation: meta.lowPoint.elevation,
+        },
+        arcLength: meta.arcLength,
+        uplift: !!meta.uplift,
+        solver: meta.solver,
+      };
+    });
   }
 
   computePolygonShape(radius, sides = 8) {
@@ -546,24 +1423,133 @@ export class InteractionManager {
     return "";
   }
 
-  updateLineGeometry(lineData, time) {
-    const effectiveOffset = lineData.localOffset;
+  //attachment points are looked up each time so edits to a tower type carry through,
+  //and the conductor hangs from the end of the insulator string when there is one
+  getConductorEnds(lineData, time) {
+    const [id1, id2] = lineData.attachmentIds;
+    const attachment1 = this.getAttachment(lineData.entity1, id1);
+    const attachment2 = this.getAttachment(lineData.entity2, id2);
+    const start =
+      attachment1 &&
+      this.insulators.getConductorPoint(lineData.entity1, attachment1, time);
+    const end =
+      attachment2 &&
+      this.insulators.getConductorPoint(lineData.entity2, attachment2, time);
+    return start && end ? { start, end } : null;
+  }
+
+  /**
+   * Conductor temperature, load and section spans of a line at a time, with
+   * the options to solve its tension and shape for them (see createSectionLine)
+   * @param {Object} lineData
+   * @param {JulianDate} time
+   * @param {{ends?: {start: Cartesian3, end: Cartesian3}, temperature?: number}} [options] conductor ends when already known, and a conductor temperature in °C instead of the one of the weather and load case
+   * @returns {{state: Object, solveOptions: Object}}
+   */
+  getLineState(lineData, time, { ends, temperature } = {}) {
+    const ambientTemp = this.weatherManager.getTemperatureAtTime(time);
+
+    let loadHeating = parseFloat(this.uiManager.loadHeatingInput?.value || 0);
 
+    if (this.uiManager.dynamicLoadCheckbox?.checked) {
+      const date = JulianDate.toDate(time);
+      const hour = date.getUTCHours() + date.getUTCMinutes() / 60;
+      const factor = this.getLoadFactor(hour);
+      loadHeating = loadHeating * factor;
+    }
+
+    //named load cases fix their own temperature, the bare case follows the weather
+    const loadCase = this.uiManager.getLoadCase();
+    const totalTemp =
+      temperature ?? loadCase.temperature ?? ambientTemp + loadHeating;
+    const wind = this.uiManager.getWind();
+    const load = computeUnitLoad(lineData.options, loadCase, wind.speed);
+
+    //computeUnitLoad takes the wind as full crosswind, the span only carries the part normal to it
+    const { start, end } =
+      ends || this.getConductorEnds(lineData, time) || lineData;
+    const windLoad =
+      start && end
+        ? computeSpanWindLoad(start, end, {
+            windPressure: load.windPressure,
+            windDirection: wind.direction,
+            diameter: load.diameter,
+          })
+        : 0;
+    const resultant =
+      Math.hypot(load.vertical, windLoad) + (loadCase.constant || 0);
+
+    //every span of the section is strung to the tension of the ruling span,
+    //which is solved with the shape, in the workers when they run
+    const section = lineData.span.section;
+    const spanLengths = section.getSpanLengths(time);
+
+    const state = {
+      temp: totalTemp,
+      load: resultant,
+      windDirection: wind.direction,
+      loadCase: loadCase.name,
+      spanLength: spanLengths[section.spans.indexOf(lineData.span)] ?? 0,
+      rulingSpan: computeRulingSpan(spanLengths),
+      sectionKey: `${spanLengths.map((l) => l.toFixed(2)).join(",")}|${section.refTemp}`,
+    };
+
+    const solveOptions = {
+      ...lineData.options,
+      section: {
+        options: section.options,
+        spanLengths: spanLengths,
+        temperature: totalTemp,
+        loadedWeight: resultant,
+        referenceTemperature: section.refTemp,
+      },
+      linearWeight: resultant,
+      verticalLoad: load.vertical,
+      windLoad: windLoad,
+      loadConstant: loadCase.constant,
+    };
+    return { state, solveOptions };
+  }
+
+  /**
+   * Solve a conductor at any time, right away and without changing what is
+   * drawn, for exports that sample the clock. Insulator strings keep their
+   * current swing.
+   * @param {Object} lineData
+   * @param {JulianDate} time
+   * @param {number} [numPoints] points along the conductor
+   * @param {number} [temperature] °C, see getLineState
+   * @returns {{positions: Cartesian3[], state: Object, offsets: Cartesian3[]}} solved positions with their metadata, and the offsets of the sub-conductors of a bundle
+   */
+  sampleLine(
+    lineData,
+    time,
+    numPoints = lineData.options.numPoints,
+    temperature = undefined,
+  ) {
+    const ends = this.getConductorEnds(lineData, time) || lineData;
+    const { state, solveOptions } = this.getLineState(lineData, time, {
+      ends,
+      temperature,
+    });
+    const positions = createSectionLine(ends.start, ends.end, {
+      ...solveOptions,
+      numPoints,
+    });
+    const offsets =
+      lineData.bundle.count > 1
+        ? subConductorOffsets(lineData.bundle, ends.start, ends.end)
+        : [new Cartesian3()];
+    return { positions, state, offsets };
+  }
+
+  updateLineGeometry(lineData, time) {
     let dirty = false;
 
     if (lineData.entity1 && lineData.entity2) {
-      const start = this.computeModuleWorldPos(
-        lineData.entity1,
-        effectiveOffset,
-        time,
-      );
-      const end = this.computeModuleWorldPos(
-        lineData.entity2,
-        effectiveOffset,
-        time,
-      );
-
-      if (start && end) {
+      const ends = this.getConductorEnds(lineData, time);
+      if (ends) {
+        const { start, end } = ends;
         if (
           !lineData.start ||
           !lineData.end ||
@@ -571,25 +1557,6 @@ export class InteractionManager {
           Cartesian3.distanceSquared(end, lineData.end) > 0.001
         ) {
           dirty = true;
-
-          if (lineData.designMode === "sag" && lineData.designSagRatio) {
-            const tempOpts = {
-              ...lineData.options,
-              mode: "sag",
-              sagRatio: lineData.designSagRatio,
-              lengthMeters: undefined,
-            };
-            const newPositions = createTransmissionLine(start, end, tempOpts);
-
-            let newRefLength = 0;
-            for (let i = 0; i < newPositions.length - 1; i++) {
-              newRefLength += Cartesian3.distance(
-                newPositions[i],
-                newPositions[i + 1],
-              );
-            }
-            lineData.refLength = newRefLength;
-          }
         }
         lineData.start = start;
         lineData.end = end;
@@ -601,57 +1568,94 @@ export class InteractionManager {
       lineData._frameCache &&
       JulianDate.equals(time, lineData._frameCache.time)
     ) {
-      return lineData._frameCache.positions;
-    }
-
-    const ambientTemp = this.weatherManager.getTemperatureAtTime(time);
-
-    let loadHeating = parseFloat(this.uiManager.loadHeatingInput?.value || 0);
-
-    if (this.uiManager.dynamicLoadCheckbox?.checked) {
-      const date = JulianDate.toDate(time);
-      const hour = date.getUTCHours() + date.getUTCMinutes() / 60;
-      const factor = this.getLoadFactor(hour);
-      loadHeating = loadHeating * factor;
+      return lineData.lastPositions;
     }
+    lineData._frameCache = { time: time.clone() };
 
-    //a little visual exaggeration
-    const multiplier = 5;
-
-    const totalTemp = ambientTemp + loadHeating;
+    const { state, solveOptions } = this.getLineState(lineData, time, {
+      ends: lineData,
+    });
 
+    const request = lineData.lastRequest;
     if (
       !dirty &&
-      lineData.lastTemp !== null &&
-      Math.abs(totalTemp - lineData.lastTemp) < 0.1 &&
-      lineData.lastMultiplier === multiplier
+      request &&
+      Math.abs(state.temp - request.temp) < 0.1 &&
+      request.sectionKey === state.sectionKey &&
+      request.load === state.load &&
+      request.windDirection === state.windDirection
     ) {
       return lineData.lastPositions;
     }
+    lineData.lastRequest = state;
+
+    //draw the first shape right away, afterwards keep the last one until the worker answers
+    if (!lineData.lastPositions) {
+      this.applySolution(
+        lineData,
+        createSectionLine(lineData.start, lineData.end, solveOptions),
+        state,
+      );
+    } else {
+      this.solver.solve(
+        lineData.id,
+        lineData.start,
+        lineData.end,
+        solveOptions,
+        (positions) => this.applySolution(lineData, positions, state),
+      );
+    }
 
-    //thermal expansion: L = L_ref * (1 + alpha * (T - T_ref))
-    const alpha = lineData.alpha || 0.00002061;
-    const newLength =
-      lineData.refLength *
-      (1 + alpha * (totalTemp - lineData.refTemp) * multiplier);
-
-    lineData.options.lengthMeters = newLength;
-
-    const positions = createTransmissionLine(
-      lineData.start,
-      lineData.end,
-      lineData.options,
-    );
+    return lineData.lastPositions;
+  }
 
+  applySolution(lineData, positions, state) {
     lineData.lastPositions = positions;
-    lineData.lastTemp = totalTemp;
-    lineData.lastMultiplier = multiplier;
     lineData.lastMetadata = positions.metadata;
-    lineData._frameCache = {
-      time: time.clone(),
-      positions: positions,
-    };
+    lineData.lastTemp = state.temp;
+    lineData.lastLoad = state.load;
+    lineData.lastWindDirection = state.windDirection;
+    lineData.lastLoadCase = state.loadCase;
+    lineData.lastSpanLength = state.spanLength;
+    lineData.lastRulingSpan = state.rulingSpan;
+    this.updateBundle(lineData);
+  }
 
-    return positions;
+  //place the sub-conductors of a bundle around the solved conductor, with spacers between them
+  updateBundle(lineData) {
+    const { bundle, lastPositions } = lineData;
+    if (bundle.count < 2 || !lastPositions || !lineData.start) {
+      lineData.subPositions = null;
+      return;
+    }
+    const offsets = subConductorOffsets(bundle, lineData.start, lineData.end);
+    lineData.subPositions = offsets.map((offset) =>
+      lastPositions.map((p) => Cartesian3.add(p, offset, new Cartesian3())),
+    );
+
+    const indices = spacerIndices(lastPositions, bundle.spacerInterval);
+    while (lineData.spacerEntities.length > indices.length) {
+      this.viewer.entities.remove(lineData.spacerEntities.pop());
+    }
+    while (lineData.spacerEntities.length < indices.length) {
+      lineData.spacerEntities.push(
+        this.viewer.entities.add({
+          polyline: {
+            positions: [],
+            width: 2,
+            material: Color.LIGHTGRAY,
+            arcType: ArcType.NONE,
+          },
+        }),
+      );
+    }
+    indices.forEach((index, i) => {
+      const ring = lineData.subPositions.map((positions) => positions[index]);
+      //twin spacers are a bar, larger bundles a closed frame
+      if (ring.length > 2) {
+        ring.push(ring[0]);
+      }
+      lineData.spacerEntities[i].polyline.positions = ring;
+    });
   }
 }
@@ -0,0 +1,181 @@
+import { Cartesian3, Color, PolylineDashMaterialProperty } from "cesium";
+import {
+  minPolylineDistance,
+  minGallopingDistance,
+  gallopingEllipsePositions,
+  requiredPhaseClearance,
+  requiredGallopingClearance,
+} from "../utils/phaseClearance.js";
+
+//polylines of the sub-conductors of a conductor, its own line when it is not bundled
+function subConductors(lineData) {
+  return lineData.subPositions || [lineData.lastPositions];
+}
+
+//closest pair over every sub-conductor of a and of b, with the polylines it lies on
+function closestSubConductors(a, b, measure) {
+  let best = null;
+  subConductors(a).forEach((positionsA) => {
+    subConductors(b).forEach((positionsB) => {
+      const result = measure(positionsA, positionsB);
+      if (!best || result.distance < best.distance) {
+        best = { ...result, positionsA, positionsB };
+      }
+    });
+  });
+  return best;
+}
+
+/**
+ * Clearance between every pair of phases of a span, with their current
+ * temperature and blowout, and between their galloping ellipses. Bundled
+ * phases are measured from their nearest sub-conductors.
+ */
+export class PhaseClearanceManager {
+  constructor(viewer, interactionManager, uiManager) {
+    this.viewer = viewer;
+    this.interactionManager = interactionManager;
+    this.uiManager = uiManager;
+    this.results = [];
+    this.markers = [];
+  }
+
+  /**
+   * Check all phase pairs of every span
+   * @returns {Object[]} one result per pair, violations first
+   */
+  check() {
+    const voltage = parseFloat(this.uiManager.systemVoltageInput?.value || 138);
+    const required = requiredPhaseClearance(voltage);
+    const requiredGalloping = requiredGallopingClearance(
+      voltage,
+      this.uiManager.getGallopingGap(),
+    );
+    const results = [];
+
+    this.interactionManager.spans.forEach((span, spanIndex) => {
+      const lines = span.lines.filter(
+        (l) => l.lastPositions && l.lastPositions.length > 2,
+      );
+
+      for (let i = 0; i < lines.length; i++) {
+        for (let j = i + 1; j < lines.length; j++) {
+          const a = lines[i];
+          const b = lines[j];
+          const closest = closestSubConductors(a, b, minPolylineDistance);
+          const galloping =
+            a.lastMetadata?.sags && b.lastMetadata?.sags
+              ? closestSubConductors(a, b, (positionsA, positionsB) =>
+                  minGallopingDistance(
+                    positionsA,
+                    a.lastMetadata.sags,
+                    positionsB,
+                    b.lastMetadata.sags,
+                  ),
+                )
+              : null;
+
+          results.push({
+            span: spanIndex + 1,
+            phaseA: a.phaseId,
+            phaseB: b.phaseId,
+            lineA: a,
+            lineB: b,
+            distance: closest.distance,
+            closest: closest,
+            required: required,
+            galloping: galloping,
+            requiredGalloping: requiredGalloping,
+            violation: closest.distance < required,
+            gallopingViolation:
+              !!galloping && galloping.distance < requiredGalloping,
+          });
+        }
+      }
+    });
+
+    const rank = (r) => (r.violation ? 2 : 0) + (r.gallopingViolation ? 1 : 0);
+    results.sort((a, b) => rank(b) - rank(a) || a.distance - b.distance);
+
+    this.results = results;
+    this.showMarkers(results);
+    this.uiManager.renderPhaseClearanceResults(results);
+    return results;
+  }
+
+  showMarkers(results) {
+    this.clearMarkers();
+
+    for (const result of results) {
+      if (result.violation) {
+        const { closest } = result;
+        this.addSegmentHighlight(closest.positionsA, closest.indexA);
+        this.addSegmentHighlight(closest.positionsB, closest.indexB);
+        this.markers.push(
+          this.viewer.entities.add({
+            polyline: {
+              positions: [closest.pointA, closest.pointB],
+              width: 2,
+              material: new PolylineDashMaterialProperty({
+                color: Color.RED,
+              }),
+              depthFailMaterial: new PolylineDashMaterialProperty({
+                color: Color.RED.withAlpha(0.5),
+              }),
+            },
+          }),
+        );
+      }
+
+      if (result.gallopingViolation) {
+        const { index, positionsA, positionsB } = result.galloping;
+        [
+          [result.lineA, positionsA],
+          [result.lineB, positionsB],
+        ].forEach(([lineData, positions]) => {
+          const direction = Cartesian3.normalize(
+            Cartesian3.subtract(
+              positions[positions.length - 1],
+              positions[0],
+              new Cartesian3(),
+            ),
+            new Cartesian3(),
+          );
+          this.markers.push(
+            this.viewer.entities.add({
+              polyline: {
+                positions: gallopingEllipsePositions(
+                  positions[index],
+                  direction,
+                  lineData.lastMetadata.sags[index],
+                ),
+                width: 2,
+                material: Color.ORANGE.withAlpha(0.8),
+              },
+            }),
+          );
+        });
+      }
+    }
+  }
+
+  //thick red overlay on the offending part of a conductor
+  addSegmentHighlight(positions, index) {
+    const from = Math.max(0, index - 2);
+    const to = Math.min(positions.length - 1, index + 3);
+    this.markers.push(
+      this.viewer.entities.add({
+        polyline: {
+          positions: positions.slice(from, to + 1),
+          width: 8,
+          material: Color.RED.withAlpha(0.8),
+        },
+      }),
+    );
+  }
+
+  clearMarkers() {
+    this.markers.forEach((marker) => this.viewer.entities.remove(marker));
+    this.markers = [];
+  }
+}
@@ -0,0 +1,188 @@
+import {
+  Cartesian3,
+  Cartographic,
+  JulianDate,
+  Math as CesiumMath,
+} from "cesium";
+import {
+  PROJECT_FILE_FORMAT,
+  PROJECT_FILE_VERSION,
+  checkProjectFile,
+} from "../utils/projectFile.js";
+import {
+  TOWER_TYPES,
+  getTowerType,
+  registerTowerType,
+} from "../utils/towerTypes.js";
+import { downloadFile, safeFilename } from "../utils/download.js";
+
+/**
+ * Saves the scene as a versioned JSON project file and opens such files.
+ * Opening replaces the scene and rebuilds it through placeTower and
+ * createConnection, like towers placed and connected by hand.
+ */
+export class ProjectFileManager {
+  constructor(viewer, interactionManager, uiManager) {
+    this.viewer = viewer;
+    this.interactionManager = interactionManager;
+    this.uiManager = uiManager;
+  }
+
+  serialize() {
+    const im = this.interactionManager;
+    const time = JulianDate.now();
+    const camera = this.viewer.camera;
+    const towerTypes = {};
+    Object.entries(TOWER_TYPES).forEach(([id, type]) => {
+      towerTypes[id] = {
+        name: type.name,
+        structureClass: type.structureClass,
+        attachments: type.attachments,
+      };
+    });
+
+    return {
+      format: PROJECT_FILE_FORMAT,
+      version: PROJECT_FILE_VERSION,
+      savedAt: new Date().toISOString(),
+      camera: {
+        position: Cartesian3.pack(camera.positionWC, []),
+        heading: camera.heading,
+        pitch: camera.pitch,
+        roll: camera.roll,
+      },
+      settings: this.uiManager.getSettings(),
+      towerTypes,
+      towers: im.placedObjects.map((tower) => {
+        const base = Cartographic.fromCartesian(tower.position.getValue(time));
+        const saved = {
+          longitude: CesiumMath.toDegrees(base.longitude),
+          latitude: CesiumMath.toDegrees(base.latitude),
+          height: base.height,
+          heading: tower.properties.headingDegrees?.getValue() || 0,
+          autoHeading: im.isAutoHeading(tower),
+          type: im.getTowerTypeId(tower),
+        };
+        //attributes of imported survey towers
+        const surveyId = tower.properties.surveyId?.getValue();
+        const structureHeight = tower.properties.structureHeight?.getValue();
+        if (surveyId) {
+          saved.surveyId = surveyId;
+        }
+        if (Number.isFinite(structureHeight)) {
+          saved.structureHeight = structureHeight;
+        }
+        return saved;
+      }),
+      spans: im.spans.map((span) => ({
+        from: im.placedObjects.indexOf(span.entity1),
+        to: im.placedObjects.indexOf(span.entity2),
+        options: span.options,
+        phaseMap: span.phaseMap,
+        bundle: span.bundle,
+      })),
+      project: im.projectManager.serialize(im.spans),
+    };
+  }
+
+  download() {
+    const data = this.serialize();
+    const name = this.interactionManager.projectManager.project.name;
+    downloadFile(
+      safeFilename(name, "json"),
+      JSON.stringify(data, null, 2),
+      "application/json",
+    );
+    this.uiManager.setProjectStatus(
+      `Saved ${data.towers.length} towers, ${data.spans.length} spans`,
+    );
+  }
+
+  //read a project file picked by the user; checkProjectFile rejects a broken file before the scene is cleared
+  async open(file) {
+    try {
+      const data = checkProjectFile(JSON.parse(await file.text()));
+      await this.load(data);
+      this.uiManager.setProjectStatus(
+        `Opened ${file.name}: ${data.towers.length} towers, ${data.spans.length} spans`,
+      );
+    } catch (err) {
+      console.error("Failed to open project:", err);
+      this.uiManager.setProjectStatus(
+        `Could not open ${file.name}: ${err.message}`,
+      );
+    }
+  }
+
+  /**
+   * Replace the scene with a project file of the current version
+   * @param {Object} data from checkProjectFile
+   */
+  async load(data) {
+    const im = this.interactionManager;
+    im.clearScene();
+
+    //attachment points edited in the saved project; types this app does not know are skipped
+    Object.entries(data.towerTypes || {}).forEach(([id, saved]) => {
+      if (TOWER_TYPES[id]) {
+        registerTowerType(id, { ...getTowerType(id), ...saved });
+      } else {
+        console.warn(`Unknown tower type "${id}" in project file`);
+      }
+    });
+    this.uiManager.populateTowerTypes();
+    this.uiManager.applySettings(data.settings || {});
+    im.insulators.setOptions(this.uiManager.getInsulatorOptions());
+
+    const towers = [];
+    for (const saved of data.towers) {
+      const attributes = {};
+      if (saved.surveyId) {
+        attributes.surveyId = saved.surveyId;
+      }
+      if (saved.structureHeight !== undefined) {
+        attributes.structureHeight = saved.structureHeight;
+      }
+      const tower = await im.placeTower(
+        Cartesian3.fromDegrees(saved.longitude, saved.latitude, saved.height),
+        {
+          typeId: TOWER_TYPES[saved.type] ? saved.type : undefined,
+          headingDegrees: saved.heading,
+          attributes,
+        },
+      );
+      if (tower) {
+        tower.properties.autoHeading = saved.autoHeading !== false;
+      }
+      towers.push(tower);
+    }
+
+    const spans = data.spans.map((saved) => {
+      const tower1 = towers[saved.from];
+      const tower2 = towers[saved.to];
+      if (!tower1 || !tower2) {
+        return null;
+      }
+      return im.createConnection(tower1, tower2, saved.options, {
+        phaseMap: saved.phaseMap,
+        bundle: saved.bundle,
+      });
+    });
+
+    if (data.project) {
+      im.projectManager.restore(data.project, spans);
+    }
+    if (data.camera) {
+      this.viewer.camera.setView({
+        destination: Cartesian3.unpack(data.camera.position),
+        orientation: {
+          heading: data.camera.heading,
+          pitch: data.camera.pitch,
+          roll: data.camera.roll,
+        },
+      });
+    }
+    //edits of the previous scene refer to towers that are gone
+    im.history.clear();
+  }
+}
@@ -0,0 +1,371 @@
+import { JulianDate } from "cesium";
+import { Circuit, Project } from "../utils/project.js";
+
+/**
+ * Keeps the project data model in step with the scene and shows it as a tree.
+ * Selecting a node selects its span, or highlights the conductors of a line,
+ * circuit or section, and opens its attributes for editing.
+ */
+export class ProjectManager {
+  constructor(interactionManager, uiManager) {
+    this.interactionManager = interactionManager;
+    this.uiManager = uiManager;
+    this.project = new Project();
+    this.selected = null;
+    this._pending = false;
+    this.render();
+  }
+
+  //spans or towers changed; resync once for a batch of edits
+  update() {
+    if (this._pending) {
+      return;
+    }
+    this._pending = true;
+    queueMicrotask(() => {
+      this._pending = false;
+      this.sync();
+      this.render();
+    });
+  }
+
+  sync() {
+    this.project.sync(this.interactionManager.sections);
+    this.project.lines.forEach((line) =>
+      line.spans.forEach((span) =>
+        span.lines.forEach((lineData) =>
+          line.getCircuit(this.getCircuitNumber(lineData)),
+        ),
+      ),
+    );
+    if (this.selected && !this.exists(this.selected)) {
+      this.select(null);
+    }
+  }
+
+  getCircuitNumber(lineData) {
+    const attachment = this.interactionManager.getAttachment(
+      lineData.entity1,
+      lineData.attachmentIds[0],
+    );
+    return attachment?.circuit ?? 1;
+  }
+
+  getCircuitConductors(line, circuit) {
+    return line.spans
+      .flatMap((span) => span.lines)
+      .filter((lineData) => this.getCircuitNumber(lineData) === circuit.number);
+  }
+
+  //line of any item of the model, null for the project
+  getLine(item) {
+    if (item === this.project) {
+      return null;
+    }
+    return this.project.lines.find(
+      (line) =>
+        line === item ||
+        line.circuits.includes(item) ||
+        line.sections.includes(item) ||
+        line.spans.includes(item),
+    );
+  }
+
+  exists(item) {
+    return item === this.project || !!this.getLine(item);
+  }
+
+  //nodes of the tree in display order
+  buildTree() {
+    const nodes = [];
+    const add = (kind, label, item, depth) =>
+      nodes.push({
+        kind,
+        label,
+        item,
+        depth,
+        selected: item === this.selected,
+      });
+    const kV = (voltage) =>
+      Number.isFinite(voltage) ? ` · ${voltage} kV` : "";
+    const now = JulianDate.now();
+
+    add(
+      "Project",
+      `${this.project.name}${kV(this.project.voltage)}`,
+      this.project,
+      0,
+    );
+    this.project.lines.forEach((line) => {
+      add("Line", `${line.name}${kV(this.project.getVoltage(line))}`, line, 1);
+      line.circuits.forEach((circuit) => {
+        const phases = [
+          ...new Set(
+            this.getCircuitConductors(line, circuit).map((l) => l.phase),
+          ),
+        ].sort();
+        add(
+          "Circuit",
+          `${circuit.name} · ${phases.join(" ") || "no conductors"}`,
+          circuit,
+          2,
+        );
+      });
+      line.sections.forEach((section) => {
+        add(
+          "Section",
+          `${section.name} · ${section.options.name} · ${section.spans.length} span(s)`,
+          section,
+          2,
+        );
+        section.spans.forEach((span, index) => {
+          const length = section.getSpanLength(span, now);
+          add(
+            "Span",
+            `${span.name || index + 1}${kV(span.voltage)} · ${length.toFixed(1)} m`,
+            span,
+            3,
+          );
+        });
+      });
+    });
+    return nodes;
+  }
+
+  render() {
+    this.uiManager.renderProjectTree(this.buildTree(), (node) =>
+      this.select(node.item),
+    );
+  }
+
+  //select a model item in the scene and open its attributes, null clears the selection
+  select(item) {
+    const im = this.interactionManager;
+    this.selected = item;
+    im.clearTowerSelection();
+    im.highlightLines([]);
+
+    if (!item) {
+      im.selectSpan(null);
+      this.uiManager.hideProjectItem();
+    } else if (this.isSpan(item)) {
+      im.selectSpan(item);
+      this.showAttributes(item);
+    } else {
+      im.selectSpan(null);
+      im.highlightLines(this.getConductors(item));
+      this.showAttributes(item);
+    }
+    this.render();
+  }
+
+  //mark a span picked in the scene, without touching the scene
+  showSelection(item) {
+    this.selected = this.exists(item) ? item : null;
+    if (this.selected) {
+      this.showAttributes(this.selected);
+    } else {
+      this.uiManager.hideProjectItem();
+    }
+    this.render();
+  }
+
+  isSpan(item) {
+    return this.interactionManager.spans.includes(item);
+  }
+
+  getKind(item) {
+    const line = this.getLine(item);
+    if (item === this.project) {
+      return "Project";
+    }
+    if (item === line) {
+      return "Line";
+    }
+    if (line.circuits.includes(item)) {
+      return "Circuit";
+    }
+    return this.isSpan(item) ? "Span" : "Section";
+  }
+
+  getConductors(item) {
+    if (item === this.project) {
+      return this.interactionManager.lines;
+    }
+    const line = this.getLine(item);
+    if (item === line) {
+      return line.spans.flatMap((span) => span.lines);
+    }
+    if (line.circuits.includes(item)) {
+      return this.getCircuitConductors(line, item);
+    }
+    return item.spans.flatMap((span) => span.lines);
+  }
+
+  showAttributes(item) {
+    const line = this.getLine(item);
+    const parents = line && item !== line ? [line] : [];
+    if (this.isSpan(item)) {
+      parents.unshift(item.section);
+    }
+    const inherited = {
+      voltage:
+        item === this.project ? null : this.project.getVoltage(...parents),
+      owner: item === this.project ? "" : this.project.getOwner(...parents),
+    };
+    const isSection = this.getKind(item) === "Section";
+
+    this.uiManager.showProjectItem(
+      this.getKind(item),
+      item,
+      inherited,
+      isSection ? this.project.lines.map((l) => l.name) : null,
+      isSection ? this.project.lines.indexOf(line) : 0,
+    );
+  }
+
+  //name, voltage and owner of the selected item; a span may go without a name
+  updateSelectedAttributes(attributes) {
+    const item = this.selected;
+    if (!item) {
+      return;
+    }
+    const before = {
+      name: item.name,
+      voltage: item.voltage,
+      owner: item.owner,
+    };
+    const after = this.isSpan(item)
+      ? attributes
+      : { ...attributes, name: attributes.name || item.name };
+    this.setAttributes(item, after);
+    this.interactionManager.history.record({
+      label: `Edit ${after.name || "span"}`,
+      undo: () => this.setAttributes(item, before),
+      redo: () => this.setAttributes(item, after),
+    });
+  }
+
+  setAttributes(item, attributes) {
+    Object.assign(item, attributes);
+    this.refresh(item);
+  }
+
+  addLine() {
+    const line = this.project.addLine();
+    this.interactionManager.history.record({
+      label: `Add ${line.name}`,
+      undo: () => {
+        this.project.removeLine(line);
+        this.refresh(line);
+      },
+      redo: () => {
+        this.project.lines.push(line);
+        this.refresh(line);
+      },
+    });
+    this.select(line);
+  }
+
+  //move the selected section to another line of the project
+  moveSelectedSection(lineIndex) {
+    const section = this.selected;
+    const from = this.getLine(section);
+    const to = this.project.lines[lineIndex];
+    if (!from || !to || from === to || !from.sections.includes(section)) {
+      return;
+    }
+    this.setSectionLine(section, to);
+    this.interactionManager.history.record({
+      label: `Move ${section.name} to ${to.name}`,
+      undo: () => this.setSectionLine(section, from),
+      redo: () => this.setSectionLine(section, to),
+    });
+  }
+
+  setSectionLine(section, line) {
+    section.line = line;
+    this.refresh(section);
+  }
+
+  /**
+   * Lines, circuits, sections and spans with their attributes, for a project file
+   * @param {Object[]} spans spans in file order; sections refer to them by index
+   * @returns {Object}
+   */
+  serialize(spans) {
+    this.sync();
+    const attributes = (item) => ({
+      name: item.name,
+      voltage: item.voltage,
+      owner: item.owner,
+    });
+    return {
+      ...attributes(this.project),
+      lines: this.project.lines.map((line) => ({
+        ...attributes(line),
+        circuits: line.circuits.map((circuit) => ({
+          number: circuit.number,
+          ...attributes(circuit),
+        })),
+        sections: line.sections.map((section) => ({
+          ...attributes(section),
+          spans: section.spans.map((span) => spans.indexOf(span)),
+        })),
+      })),
+      spans: spans.map(attributes),
+    };
+  }
+
+  /**
+   * Replace the project with a saved one. The spans must already be strung;
+   * saved sections are matched to the section of their first span.
+   * @param {Object} data from serialize
+   * @param {Object[]} spans spans in file order
+   */
+  restore(data, spans) {
+    const project = new Project(data.name);
+    project.voltage = data.voltage ?? null;
+    project.owner = data.owner ?? "";
+
+    (data.lines || []).forEach((saved) => {
+      const line = project.addLine(saved);
+      line.circuits = (saved.circuits || []).map(
+        (circuit) => new Circuit(circuit.number, circuit),
+      );
+      (saved.sections || []).forEach((savedSection) => {
+        const section = spans[savedSection.spans?.[0]]?.section;
+        if (section) {
+          section.name = savedSection.name || section.name;
+          section.voltage = savedSection.voltage ?? null;
+          section.owner = savedSection.owner ?? "";
+          section.line = line;
+        }
+      });
+    });
+
+    (data.spans || []).forEach((saved, index) => {
+      const span = spans[index];
+      if (span) {
+        span.name = saved.name || "";
+        span.voltage = saved.voltage ?? null;
+        span.owner = saved.owner ?? "";
+      }
+    });
+
+    this.project = project;
+    this.selected = null;
+    this.uiManager.hideProjectItem();
+    this.sync();
+    this.render();
+  }
+
+  //resync and redraw, keeping the attributes of the selected item in view
+  refresh(item) {
+    this.sync();
+    if (this.selected === item && this.exists(item)) {
+      this.showAttributes(item);
+    }
+    this.render();
+  }
+}
@@ -0,0 +1,188 @@
+import {
+  ScreenSpaceEventHandler,
+  ScreenSpaceEventType,
+  CallbackProperty,
+  Cartographic,
+  Cartesian3,
+  Color,
+} from "cesium";
+import { levelSpanSag } from "../utils/catenary.js";
+import { computeSectionTension } from "../utils/lineSection.js";
+import { spotTowers } from "../utils/spotting.js";
+import { getTowerType } from "../utils/towerTypes.js";
+
+/**
+ * Route tool: a polyline drawn on the tileset is turned into towers spotted
+ * along it and strung with the conductor of the panel. Left click adds a
+ * vertex, right click ends the route.
+ */
+export class RouteManager {
+  constructor(viewer, interactionManager, clearanceManager, uiManager) {
+    this.viewer = viewer;
+    this.interactionManager = interactionManager;
+    this.clearanceManager = clearanceManager;
+    this.uiManager = uiManager;
+    this.handler = new ScreenSpaceEventHandler(viewer.canvas);
+    this.vertices = [];
+    this.cursor = null;
+    this.drawing = false;
+    this.routeEntity = null;
+  }
+
+  startDrawing() {
+    this.clear();
+    this.interactionManager.resetMode();
+    this.drawing = true;
+    this.viewer.canvas.style.cursor = "crosshair";
+    this.uiManager.setRouteStatus("Click to add vertices, right click to end");
+
+    this.routeEntity = this.viewer.entities.add({
+      polyline: {
+        positions: new CallbackProperty(
+          () =>
+            this.cursor && this.drawing
+              ? [...this.vertices, this.cursor]
+              : this.vertices,
+          false,
+        ),
+        width: 3,
+        material: Color.YELLOW.withAlpha(0.8),
+      },
+    });
+
+    this.handler.setInputAction((click) => {
+      const position = this.viewer.scene.pickPosition(click.position);
+      if (position) {
+        this.vertices.push(position);
+      }
+    }, ScreenSpaceEventType.LEFT_CLICK);
+
+    this.handler.setInputAction((move) => {
+      this.cursor = this.viewer.scene.pickPosition(move.endPosition) || null;
+    }, ScreenSpaceEventType.MOUSE_MOVE);
+
+    this.handler.setInputAction(
+      () => this.stopDrawing(),
+      ScreenSpaceEventType.RIGHT_CLICK,
+    );
+  }
+
+  stopDrawing() {
+    this.drawing = false;
+    this.cursor = null;
+    this.viewer.canvas.style.cursor = "";
+    this.handler.removeInputAction(ScreenSpaceEventType.LEFT_CLICK);
+    this.handler.removeInputAction(ScreenSpaceEventType.MOUSE_MOVE);
+    this.handler.removeInputAction(ScreenSpaceEventType.RIGHT_CLICK);
+    this.uiManager.setRouteStatus(
+      this.vertices.length < 2
+        ? "A route needs at least two vertices"
+        : `Route with ${this.vertices.length} vertices`,
+    );
+  }
+
+  clear() {
+    if (this.drawing) {
+      this.stopDrawing();
+    }
+    if (this.routeEntity) {
+      this.viewer.entities.remove(this.routeEntity);
+      this.routeEntity = null;
+    }
+    this.vertices = [];
+    this.uiManager.setRouteStatus("");
+  }
+
+  //height of the lowest conductor above the tower base, below its insulator string
+  getAttachmentHeight(towerType) {
+    const lowest = Math.min(...towerType.attachments.map((a) => a.z));
+    const insulator = this.uiManager.getInsulatorOptions();
+    return lowest - (insulator.type === "none" ? 0 : insulator.length);
+  }
+
+  /**
+   * Spot towers along the drawn route and string them
+   * @returns {Promise<Object|null>} spotting result, null without a route
+   */
+  async spot() {
+    if (this.drawing) {
+      this.stopDrawing();
+    }
+    if (this.vertices.length < 2) {
+      this.uiManager.setRouteStatus("Draw a route first");
+      return null;
+    }
+
+    const settings = this.uiManager.getRouteOptions();
+    const lineOptions = this.uiManager.getLineOptions();
+    const typeId = this.uiManager.getTowerTypeId();
+    const towerType = getTowerType(typeId);
+
+    //sag of the bare conductor at the clearance temperature, each span taken as its own ruling span
+    const sagForSpan = (span) =>
+      levelSpanSag(
+        computeSectionTension(lineOptions, [span], settings.temperature)
+          .hTension,
+        lineOptions.linearWeight,
+        span,
+      );
+
+    this.uiManager.setRouteStatus("Spotting towers...");
+    const cursor = document.body.style.cursor;
+    document.body.style.cursor = "wait";
+    try {
+      const result = await spotTowers(
+        this.vertices.map((v) => Cartographic.fromCartesian(v)),
+        {
+          maxSpan: settings.maxSpan,
+          minSpan: Math.min(settings.maxSpan, settings.minSpan),
+          clearance: settings.clearance,
+          attachmentHeight: this.getAttachmentHeight(towerType),
+          sagForSpan,
+          sampleHeights: (cartographics) =>
+            this.clearanceManager.sampleSurface(cartographics),
+          sampleGround: (cartographics) =>
+            this.clearanceManager.sampleGround(cartographics),
+        },
+      );
+
+      const towers = [];
+      for (const base of result.towers) {
+        const tower = await this.interactionManager.placeTower(
+          Cartesian3.fromRadians(base.longitude, base.latitude, base.height),
+          { typeId },
+        );
+        if (tower) {
+          towers.push(tower);
+        }
+      }
+      for (let i = 0; i < towers.length - 1; i++) {
+        this.interactionManager.createConnection(
+          towers[i],
+          towers[i + 1],
+          lineOptions,
+        );
+      }
+      this.interactionManager.recordTowerAdded(
+        towers,
+        `Spot ${towers.length} towers`,
+      );
+
+      const short = result.spans.filter(
+        (span) => span.clearance < settings.clearance,
+      ).length;
+      this.clear();
+      const warning = short > 0 ? `, ${short} below clearance` : "";
+      this.uiManager.setRouteStatus(
+        `Placed ${towers.length} towers, ${result.spans.length} spans${warning}`,
+      );
+      return result;
+    } catch (err) {
+      console.error("Failed to spot towers:", err);
+      this.uiManager.setRouteStatus("Tower spotting failed");
+      return null;
+    } finally {
+      document.body.style.cursor = cursor;
+    }
+  }
+}
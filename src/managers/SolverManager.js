@@ -0,0 +1,204 @@
+import { Cartesian3 } from "cesium";
+import { createSectionLine } from "../utils/lineSection.js";
+
+/**
+ * Solves catenaries, with the tension of their section, off the main thread. Requests made during a frame are
+ * batched and sent to a pool of workers after the frame renders; callers keep
+ * drawing their last result until the new one arrives. Without worker support
+ * every request is solved synchronously.
+ */
+export class SolverManager {
+  constructor(scene, poolSize) {
+    this.scene = scene;
+    this.pending = new Map(); //id -> latest job not yet sent
+    this.inFlight = new Set(); //ids with a job in a worker
+    this.handlers = new Map(); //version -> onResult of a job in a worker
+    this.applied = new Map(); //id -> version of the last applied result
+    this.workers = [];
+    this._nextVersion = 1;
+    this._nextBatchId = 1;
+
+    const size =
+      poolSize ??
+      Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+
+    if (typeof Worker !== "undefined") {
+      try {
+        for (let i = 0; i < size; i++) {
+          const worker = new Worker(
+            new URL("../workers/catenaryWorker.js", import.meta.url),
+            { type: "module" },
+          );
+          const slot = { worker, inFlight: 0, batches: new Map() };
+          worker.onmessage = (event) => this.handleResults(worker, event.data);
+          worker.onerror = (error) => this.handleWorkerError(slot, error);
+          this.workers.push(slot);
+        }
+      } catch (err) {
+        console.error("Failed to start catenary workers:", err);
+        this.workers = [];
+      }
+    }
+
+    this._removeListener = scene.postRender.addEventListener(() =>
+      this.flush(),
+    );
+  }
+
+  get enabled() {
+    return this.workers.length > 0;
+  }
+
+  /**
+   * Queue a span for solving. A newer request for the same id replaces a queued
+   * one; each id has at most one job in the workers, and results older than the
+   * last applied one are dropped.
+   * @param {number} id stable id of the conductor
+   * @param {Cartesian3} start
+   * @param {Cartesian3} end
+   * @param {Object} options createSectionLine options
+   * @param {function(Cartesian3[]): void} onResult
+   */
+  solve(id, start, end, options, onResult) {
+    if (!this.enabled) {
+      onResult(createSectionLine(start, end, options));
+      return;
+    }
+
+    this.pending.set(id, {
+      id,
+      version: this._nextVersion++,
+      start: Cartesian3.clone(start),
+      end: Cartesian3.clone(end),
+      options,
+      onResult,
+    });
+  }
+
+  //drop queued work and any late results for a removed conductor
+  cancel(id) {
+    this.pending.delete(id);
+    this.applied.delete(id);
+    //a job still in a worker comes back to no handler and is dropped in deliver
+    this.workers.forEach((slot) => {
+      for (const batch of slot.batches.values()) {
+        batch
+          .filter((job) => job.id === id)
+          .forEach((job) => this.handlers.delete(job.version));
+      }
+    });
+  }
+
+  //send this frame's requests, split across the least busy workers
+  flush() {
+    const jobs = [];
+    for (const job of this.pending.values()) {
+      if (!this.inFlight.has(job.id)) {
+        jobs.push(job);
+      }
+    }
+    if (jobs.length === 0 || !this.enabled) {
+      return;
+    }
+    jobs.forEach((job) => {
+      this.pending.delete(job.id);
+      this.inFlight.add(job.id);
+      this.handlers.set(job.version, job.onResult);
+    });
+
+    const slots = [...this.workers].sort((a, b) => a.inFlight - b.inFlight);
+    const batchSize = Math.ceil(jobs.length / slots.length);
+
+    for (let i = 0; i < slots.length; i++) {
+      const batch = jobs.slice(i * batchSize, (i + 1) * batchSize);
+      if (batch.length === 0) {
+        break;
+      }
+      const batchId = this._nextBatchId++;
+      slots[i].inFlight++;
+      slots[i].batches.set(batchId, batch);
+      slots[i].worker.postMessage({
+        batchId,
+        jobs: batch.map(({ onResult, ...job }) => job),
+      });
+    }
+  }
+
+  handleResults(worker, data) {
+    const slot = this.workers.find((w) => w.worker === worker);
+    if (slot) {
+      slot.inFlight = Math.max(0, slot.inFlight - 1);
+      slot.batches.delete(data.batchId);
+    }
+
+    for (const result of data.results) {
+      const buffer = result.buffer;
+      const positions = [];
+      for (let i = 0; i < buffer.length; i += 3) {
+        positions.push(new Cartesian3(buffer[i], buffer[i + 1], buffer[i + 2]));
+      }
+      const metadata = result.metadata;
+      if (metadata && metadata.lowPoint) {
+        metadata.lowPoint.position = Cartesian3.clone(
+          metadata.lowPoint.position,
+        );
+      }
+      positions.metadata = metadata;
+
+      this.deliver(result.id, result.version, positions);
+    }
+  }
+
+  //hand a result to its caller unless a newer one was applied already
+  deliver(id, version, positions) {
+    this.inFlight.delete(id);
+    const onResult = this.handlers.get(version);
+    this.handlers.delete(version);
+    if (!onResult || version <= (this.applied.get(id) ?? 0)) {
+      return;
+    }
+    this.applied.set(id, version);
+    onResult(positions);
+  }
+
+  //a failed worker leaves the pool; the jobs it held are solved here so their conductors keep updating
+  handleWorkerError(slot, error) {
+    console.error("Catenary worker failed:", error);
+    slot.worker.terminate();
+    this.workers = this.workers.filter((w) => w !== slot);
+
+    for (const batch of slot.batches.values()) {
+      batch.forEach((job) => {
+        this.deliver(
+          job.id,
+          job.version,
+          createSectionLine(job.start, job.end, job.options),
+        );
+      });
+    }
+    slot.batches.clear();
+
+    //without workers, queued jobs are solved synchronously too
+    if (!this.enabled) {
+      for (const job of this.pending.values()) {
+        this.handlers.set(job.version, job.onResult);
+        this.deliver(
+          job.id,
+          job.version,
+          createSectionLine(job.start, job.end, job.options),
+        );
+      }
+      this.pending.clear();
+    }
+  }
+
+  destroy() {
+    this._removeListener();
+    this.workers.forEach(({ worker }) => worker.terminate());
+    this.workers = [];
+    this.pending.clear();
+    this.inFlight.clear();
+    this.handlers.clear();
+    this.applied.clear();
+  }
+}
@@ -0,0 +1,138 @@
+import { JulianDate } from "cesium";
+import { toCsv } from "../utils/csv.js";
+import { downloadFile, safeFilename } from "../utils/download.js";
+import {
+  computeStringingChart,
+  renderStringingChart,
+  stringingChartRows,
+  temperatureRange,
+} from "../utils/stringing.js";
+
+/**
+ * Stringing charts of a tension section for the field crews, printed or
+ * downloaded as CSV. The section is the one selected in the project tree, or
+ * the one of the selected span.
+ */
+export class StringingManager {
+  constructor(interactionManager, uiManager) {
+    this.interactionManager = interactionManager;
+    this.uiManager = uiManager;
+  }
+
+  getSection() {
+    const im = this.interactionManager;
+    const selected = im.projectManager.selected;
+    if (selected && im.sections.includes(selected)) {
+      return selected;
+    }
+    if (im._selectedSpan) {
+      return im._selectedSpan.section;
+    }
+    return im.sections.length === 1 ? im.sections[0] : null;
+  }
+
+  //tower name for span labels, the surveyed id when there is one
+  getTowerLabel(tower) {
+    const im = this.interactionManager;
+    const id = tower.properties.surveyId?.getValue();
+    return id || `T${im.placedObjects.indexOf(tower) + 1}`;
+  }
+
+  /**
+   * Chart of the selected section over the temperatures of the panel
+   * @returns {{section: LineSection, chart: Object}|null} null with the reason shown in the panel
+   */
+  build() {
+    const im = this.interactionManager;
+    const section = this.getSection();
+    if (!section) {
+      this.uiManager.setStringingStatus(
+        "Select a section in the project tree or a span",
+      );
+      return null;
+    }
+    const { from, to, step } = this.uiManager.getStringingOptions();
+    const temperatures = temperatureRange(from, to, step);
+    if (temperatures.length === 0) {
+      this.uiManager.setStringingStatus("No temperatures in the range");
+      return null;
+    }
+
+    const now = JulianDate.now();
+    const spans = [];
+    section.spans.forEach((span) => {
+      const lineData = span.lines[0];
+      const ends = lineData && (im.getConductorEnds(lineData, now) || lineData);
+      if (!ends?.start || !ends?.end) {
+        return;
+      }
+      spans.push({
+        label: `Span ${im.spans.indexOf(span) + 1} (${this.getTowerLabel(span.entity1)}–${this.getTowerLabel(span.entity2)})`,
+        start: ends.start,
+        end: ends.end,
+        length: section.getSpanLength(span, now),
+      });
+    });
+
+    const chart = computeStringingChart(
+      section.options,
+      spans,
+      temperatures,
+      (temperature) => section.getHorizontalTension(temperature, now),
+    );
+    return { section, chart };
+  }
+
+  getTitle(section) {
+    const line = section.line ? `${section.line.name} · ` : "";
+    return `Stringing chart · ${line}${section.name}`;
+  }
+
+  print() {
+    const result = this.build();
+    if (!result) {
+      return;
+    }
+    const { section, chart } = result;
+    const html = renderStringingChart(chart, {
+      title: this.getTitle(section),
+      conductor: section.options.name || "Conductor",
+      rulingSpan: section.getRulingSpan(JulianDate.now()),
+      referenceTemperature: section.refTemp,
+    });
+
+    const page = window.open("", "_blank");
+    if (!page) {
+      //pop-ups blocked, hand the page over as a file instead
+      downloadFile(
+        safeFilename(this.getTitle(section), "html"),
+        html,
+        "text/html",
+      );
+      this.uiManager.setStringingStatus("Downloaded the chart page");
+      return;
+    }
+    page.document.write(html);
+    page.document.close();
+    page.focus();
+    page.print();
+    this.uiManager.setStringingStatus(
+      `Chart of ${chart.spans.length} spans at ${chart.temperatures.length} temperatures`,
+    );
+  }
+
+  exportCsv() {
+    const result = this.build();
+    if (!result) {
+      return;
+    }
+    const { section, chart } = result;
+    const { header, rows } = stringingChartRows(chart);
+    downloadFile(
+      safeFilename(this.getTitle(section), "csv"),
+      toCsv(header, rows),
+      "text/csv",
+    );
+    this.uiManager.setStringingStatus(`Exported ${rows.length} chart rows`);
+  }
+}
@@ -1,10 +1,62 @@
-﻿export class UIManager {
+﻿import { LOAD_CASES } from "../utils/loading.js";
+import { DEFAULT_TOWER_TYPE, TOWER_TYPES } from "../utils/towerTypes.js";
+import { defaultInsulatorString } from "../utils/insulators.js";
+
+export class UIManager {
   constructor() {
     this.lineModeSelect = document.getElementById("lineMode");
     this.lineModeControl = document.getElementById("lineModeControl");
 
     this.conductorTypeSelect = document.getElementById("conductorType");
 
+    this.towerTypeSelect = document.getElementById("towerType");
+    this.alignEndTowersCheckbox = document.getElementById("alignEndTowers");
+    this.towerInspector = document.getElementById("towerInspector");
+    this.selectedTowerTypeSelect = document.getElementById("selectedTowerType");
+    this.selectedTowerHeadingInput = document.getElementById(
+      "selectedTowerHeading",
+    );
+    this.insulatorTypeSelect = document.getElementById("insulatorType");
+    this.insulatorLengthInput = document.getElementById("insulatorLength");
+    this.insulatorWeightInput = document.getElementById("insulatorWeight");
+    this.selectedTowerAutoHeadingCheckbox = document.getElementById(
+      "selectedTowerAutoHeading",
+    );
+    this.editAttachmentsBtn = document.getElementById("editAttachments");
+    this.deleteTowerBtn = document.getElementById("deleteTower");
+    this.spanInspector = document.getElementById("spanInspector");
+    this.selectedSpanConductorSelect = document.getElementById(
+      "selectedSpanConductor",
+    );
+    this.selectedSpanModeSelect = document.getElementById("selectedSpanMode");
+    this.selectedSpanTensionInput = document.getElementById(
+      "selectedSpanTension",
+    );
+    this.selectedSpanSagRatioInput = document.getElementById(
+      "selectedSpanSagRatio",
+    );
+    this.selectedSpanLengthInput =
+      document.getElementById("selectedSpanLength");
+    this.selectedSpanSection = document.getElementById("selectedSpanSection");
+    this.deleteSpanBtn = document.getElementById("deleteSpan");
+    this.phaseMatrix = document.getElementById("phaseMatrix");
+    this.bundleCountSelect = document.getElementById("bundleCount");
+    this.bundleSpacingInput = document.getElementById("bundleSpacing");
+    this.bundleOrientationInput = document.getElementById("bundleOrientation");
+    this.spacerIntervalInput = document.getElementById("spacerInterval");
+    this.resetPhaseMapBtn = document.getElementById("resetPhaseMap");
+    this.attachmentEditor = document.getElementById("attachmentEditor");
+    this.attachmentEditorTitle = document.getElementById(
+      "attachmentEditorTitle",
+    );
+    this.attachmentPhaseSelect = document.getElementById("attachmentPhase");
+    this.attachmentCircuitInput = document.getElementById("attachmentCircuit");
+    this.pickAttachmentBtn = document.getElementById("pickAttachment");
+    this.pickResult = document.getElementById("pickResult");
+    this.attachmentList = document.getElementById("attachmentList");
+    this.saveAttachmentsBtn = document.getElementById("saveAttachments");
+    this.cancelAttachmentsBtn = document.getElementById("cancelAttachments");
+
     this.physicsInputs = document.getElementById("physicsInputs");
     this.systemVoltageInput = document.getElementById("systemVoltage");
     this.tensionPctInput = document.getElementById("tensionPct");
@@ -15,12 +67,74 @@
     this.loadHeatingVal = document.getElementById("loadHeatingVal");
     this.dynamicLoadCheckbox = document.getElementById("dynamicLoad");
     this.showSafetyZoneCheckbox = document.getElementById("showSafetyZone");
+    this.loadCaseSelect = document.getElementById("loadCase");
+    this.windSpeedInput = document.getElementById("windSpeed");
+    this.windDirectionInput = document.getElementById("windDirection");
+    this.showBlowoutCheckbox = document.getElementById("showBlowout");
+    this.showPhaseColorsCheckbox = document.getElementById("showPhaseColors");
     this.geometricInputs = document.getElementById("geometricInputs");
     this.sagInputGroup = document.getElementById("sagInputGroup");
     this.lengthInputGroup = document.getElementById("lengthInputGroup");
     this.sagRatioInput = document.getElementById("sagRatio");
     this.cableLengthInput = document.getElementById("cableLength");
 
+    this.routeMaxSpanInput = document.getElementById("routeMaxSpan");
+    this.routeMinSpanInput = document.getElementById("routeMinSpan");
+    this.routeClearanceInput = document.getElementById("routeClearance");
+    this.routeTemperatureInput = document.getElementById("routeTemperature");
+    this.drawRouteBtn = document.getElementById("drawRoute");
+    this.spotTowersBtn = document.getElementById("spotTowers");
+    this.clearRouteBtn = document.getElementById("clearRoute");
+    this.routeStatus = document.getElementById("routeStatus");
+
+    this.projectTree = document.getElementById("projectTree");
+    this.newLineBtn = document.getElementById("newLine");
+    this.saveProjectBtn = document.getElementById("saveProject");
+    this.openProjectBtn = document.getElementById("openProject");
+    this.projectFileInput = document.getElementById("projectFileInput");
+    this.projectStatus = document.getElementById("projectStatus");
+    this.exportIntervalInput = document.getElementById("exportInterval");
+    this.exportGeoidHeightInput = document.getElementById("exportGeoidHeight");
+    this.exportCzmlBtn = document.getElementById("exportCzml");
+    this.exportKmzBtn = document.getElementById("exportKmz");
+    this.exportGeoJsonBtn = document.getElementById("exportGeoJson");
+    this.reportTemperaturesInput =
+      document.getElementById("reportTemperatures");
+    this.exportSagTensionBtn = document.getElementById("exportSagTension");
+    this.stringingFromInput = document.getElementById("stringingFrom");
+    this.stringingToInput = document.getElementById("stringingTo");
+    this.stringingStepInput = document.getElementById("stringingStep");
+    this.printStringingChartBtn = document.getElementById(
+      "printStringingChart",
+    );
+    this.exportStringingCsvBtn = document.getElementById("exportStringingCsv");
+    this.stringingStatus = document.getElementById("stringingStatus");
+    this.importTowersBtn = document.getElementById("importTowers");
+    this.importConnectCheckbox = document.getElementById("importConnect");
+    this.towerFileInput = document.getElementById("towerFileInput");
+    this.exportStatus = document.getElementById("exportStatus");
+    this.projectItemForm = document.getElementById("projectItemForm");
+    this.projectItemTitle = document.getElementById("projectItemTitle");
+    this.projectItemNameInput = document.getElementById("projectItemName");
+    this.projectItemVoltageInput =
+      document.getElementById("projectItemVoltage");
+    this.projectItemOwnerInput = document.getElementById("projectItemOwner");
+    this.projectItemLineGroup = document.getElementById("projectItemLineGroup");
+    this.projectItemLineSelect = document.getElementById("projectItemLine");
+
+    this.undoBtn = document.getElementById("undo");
+    this.redoBtn = document.getElementById("redo");
+    this.historyList = document.getElementById("historyList");
+
+    this.autoClearanceCheckbox = document.getElementById("autoClearance");
+    this.runClearanceBtn = document.getElementById("runClearance");
+    this.clearanceResults = document.getElementById("clearanceResults");
+    this.gallopingGapInput = document.getElementById("gallopingGap");
+    this.runPhaseClearanceBtn = document.getElementById("runPhaseClearance");
+    this.phaseClearanceResults = document.getElementById(
+      "phaseClearanceResults",
+    );
+
     this.catenaryConstantDisplay = document.getElementById(
       "catenaryConstantDisplay",
     );
@@ -42,31 +156,52 @@
     this.conductors = {
       //basic parameters for some common ACSR conductors commercially used in the US
       //weight in kg/m, rated tensile strength (RTS) in kN, temperature coeff alpha in 1/°C
+      //area in mm², final modulus of elasticity in GPa, diameter in mm
       drake: {
         name: "ACSR Drake",
         weight: 15.97,
         rts: 139.9,
         alpha: 0.0000189,
+        area: 468.5,
+        modulus: 74.0,
+        diameter: 28.14,
       },
       cardinal: {
         name: "ACSR Cardinal",
         weight: 17.94,
         rts: 150.3,
         alpha: 0.0000189,
+        area: 546.8,
+        modulus: 68.9,
+        diameter: 30.38,
       },
       curlew: {
         name: "ACSR Curlew",
         weight: 19.46,
         rts: 163.7,
         alpha: 0.0000189,
+        area: 592.4,
+        modulus: 68.9,
+        diameter: 31.62,
       },
       bluejay: {
         name: "ACSR Bluejay",
         weight: 18.28,
         rts: 131.2,
         alpha: 0.0000189,
+        area: 603.4,
+        modulus: 65.5,
+        diameter: 31.98,
+      },
+      custom: {
+        name: "Custom",
+        weight: 30,
+        rts: 100,
+        alpha: 0.0000189,
+        area: 400,
+        modulus: 70,
+        diameter: 25,
       },
-      custom: { name: "Custom", weight: 30, rts: 100, alpha: 0.0000189 },
     };
 
     this.initialize();
@@ -74,6 +209,7 @@
 
   initialize() {
     this.setupSegmentedControls();
+    this.populateTowerTypes();
     this.updateVisibility();
     this.updateConductorValues();
     this.updateCalculations();
@@ -146,7 +282,204 @@
     });
   }
 
-  setupEventListeners({ onPlace, onConnect, onCursor }) {
+  setupEventListeners({
+    onPlace,
+    onConnect,
+    onCursor,
+    onAnalyzeClearance,
+    onAutoClearance,
+    onCheckPhaseClearance,
+    onTowerTypeChange,
+    onTowerHeadingChange,
+    onEditAttachments,
+    onPickAttachment,
+    onSaveAttachments,
+    onCancelAttachments,
+    onInsulatorChange,
+    onAutoHeadingChange,
+    onDrawRoute,
+    onSpotTowers,
+    onClearRoute,
+    onUndo,
+    onRedo,
+    onDeleteTower,
+    onDeleteSpan,
+    onSpanChange,
+    onResetPhaseMap,
+    onBundleChange,
+    onNewLine,
+    onProjectItemChange,
+    onSectionLineChange,
+    onSaveProject,
+    onOpenProject,
+    onExportCzml,
+    onExportKmz,
+    onExportGeoJson,
+    onExportSagTension,
+    onPrintStringingChart,
+    onExportStringingCsv,
+    onImportTowers,
+  }) {
+    [
+      [this.undoBtn, onUndo],
+      [this.redoBtn, onRedo],
+      [this.deleteTowerBtn, onDeleteTower],
+      [this.deleteSpanBtn, onDeleteSpan],
+      [this.resetPhaseMapBtn, onResetPhaseMap],
+      [this.newLineBtn, onNewLine],
+      [this.saveProjectBtn, onSaveProject],
+      [this.exportCzmlBtn, onExportCzml],
+      [this.exportKmzBtn, onExportKmz],
+      [this.exportGeoJsonBtn, onExportGeoJson],
+      [this.exportSagTensionBtn, onExportSagTension],
+      [this.printStringingChartBtn, onPrintStringingChart],
+      [this.exportStringingCsvBtn, onExportStringingCsv],
+      [this.drawRouteBtn, onDrawRoute],
+      [this.spotTowersBtn, onSpotTowers],
+      [this.clearRouteBtn, onClearRoute],
+    ].forEach(([button, callback]) => {
+      if (button && callback) {
+        button.addEventListener("click", () => callback());
+      }
+    });
+    if (this.selectedTowerAutoHeadingCheckbox && onAutoHeadingChange) {
+      this.selectedTowerAutoHeadingCheckbox.addEventListener("change", () =>
+        onAutoHeadingChange(this.selectedTowerAutoHeadingCheckbox.checked),
+      );
+    }
+    if (onInsulatorChange) {
+      [
+        this.insulatorTypeSelect,
+        this.insulatorLengthInput,
+        this.insulatorWeightInput,
+      ].forEach((input) => {
+        if (input) {
+          input.addEventListener("change", () =>
+            onInsulatorChange(this.getInsulatorOptions()),
+          );
+        }
+      });
+      //strings are sized for the system voltage until edited by hand
+      if (this.systemVoltageInput) {
+        this.systemVoltageInput.addEventListener("change", () => {
+          const voltage = parseFloat(this.systemVoltageInput.value) || 0;
+          const string = defaultInsulatorString(voltage);
+          this.insulatorLengthInput.value = string.length.toFixed(2);
+          this.insulatorWeightInput.value = Math.round(string.weight);
+          onInsulatorChange(this.getInsulatorOptions());
+        });
+      }
+    }
+    [
+      [this.editAttachmentsBtn, onEditAttachments],
+      [this.pickAttachmentBtn, onPickAttachment],
+      [this.saveAttachmentsBtn, onSaveAttachments],
+      [this.cancelAttachmentsBtn, onCancelAttachments],
+    ].forEach(([button, callback]) => {
+      if (button && callback) {
+        button.addEventListener("click", () => callback());
+      }
+    });
+    if (this.selectedTowerTypeSelect && onTowerTypeChange) {
+      this.selectedTowerTypeSelect.addEventListener("change", () =>
+        onTowerTypeChange(this.selectedTowerTypeSelect.value),
+      );
+    }
+    if (onSpanChange) {
+      [
+        this.selectedSpanConductorSelect,
+        this.selectedSpanModeSelect,
+        this.selectedSpanTensionInput,
+        this.selectedSpanSagRatioInput,
+        this.selectedSpanLengthInput,
+      ].forEach((input) => {
+        if (input) {
+          input.addEventListener("change", () =>
+            onSpanChange(this.getSpanInput()),
+          );
+        }
+      });
+    }
+    if (onBundleChange) {
+      [
+        this.bundleCountSelect,
+        this.bundleSpacingInput,
+        this.bundleOrientationInput,
+        this.spacerIntervalInput,
+      ].forEach((input) => {
+        if (input) {
+          input.addEventListener("change", () =>
+            onBundleChange(this.getBundleInput()),
+          );
+        }
+      });
+    }
+    if (onProjectItemChange) {
+      [
+        this.projectItemNameInput,
+        this.projectItemVoltageInput,
+        this.projectItemOwnerInput,
+      ].forEach((input) => {
+        if (input) {
+          input.addEventListener("change", () =>
+            onProjectItemChange(this.getProjectItemInput()),
+          );
+        }
+      });
+    }
+    if (this.openProjectBtn && this.projectFileInput && onOpenProject) {
+      this.openProjectBtn.addEventListener("click", () =>
+        this.projectFileInput.click(),
+      );
+      this.projectFileInput.addEventListener("change", () => {
+        const [file] = this.projectFileInput.files;
+        //clear the input so the same file can be opened again
+        this.projectFileInput.value = "";
+        if (file) {
+          onOpenProject(file);
+        }
+      });
+    }
+    if (this.importTowersBtn && this.towerFileInput && onImportTowers) {
+      this.importTowersBtn.addEventListener("click", () =>
+        this.towerFileInput.click(),
+      );
+      this.towerFileInput.addEventListener("change", () => {
+        const [file] = this.towerFileInput.files;
+        this.towerFileInput.value = "";
+        if (file) {
+          onImportTowers(file);
+        }
+      });
+    }
+    if (this.projectItemLineSelect && onSectionLineChange) {
+      this.projectItemLineSelect.addEventListener("change", () =>
+        onSectionLineChange(parseInt(this.projectItemLineSelect.value, 10)),
+      );
+    }
+    if (this.selectedTowerHeadingInput && onTowerHeadingChange) {
+      this.selectedTowerHeadingInput.addEventListener("change", () => {
+        const heading = parseFloat(this.selectedTowerHeadingInput.value);
+        if (!isNaN(heading)) {
+          onTowerHeadingChange(heading);
+        }
+      });
+    }
+    if (this.runPhaseClearanceBtn && onCheckPhaseClearance) {
+      this.runPhaseClearanceBtn.addEventListener("click", () =>
+        onCheckPhaseClearance(),
+      );
+    }
+    if (this.runClearanceBtn && onAnalyzeClearance) {
+      this.runClearanceBtn.addEventListener("click", () =>
+        onAnalyzeClearance(),
+      );
+    }
+    if (this.autoClearanceCheckbox && onAutoClearance) {
+      this.autoClearanceCheckbox.addEventListener("change", () =>
+        onAutoClearance(this.autoClearanceCheckbox.checked),
+      );
+    }
     if (this.placeObjectBtn) {
       this.placeObjectBtn.addEventListener("click", () => {
         this.setActiveTool(this.placeObjectBtn);
@@ -266,22 +599,647 @@
       Number.isFinite(lengthVal) && lengthVal > 0 ? lengthVal : undefined;
     const linearWeight = parseFloat(this.linearWeightInput.value) || 10;
     const hTension = parseFloat(this.hTensionInput.value) || 10000;
+    const rts = (parseFloat(this.rtsStrengthInput.value) || 100) * 1000;
     const loadHeating = parseFloat(this.loadHeatingInput.value) || 0;
 
     const type = this.conductorTypeSelect.value;
-    const alpha = this.conductors[type]?.alpha || 0.0000189;
-    const name = this.conductors[type]?.name || "Custom";
 
     return {
       numPoints: 96,
       sagRatio,
       lengthMeters,
+      ...this.getConductorOptions(type),
       linearWeight,
+      rts,
       hTension,
       mode,
-      alpha,
-      name,
       loadHeating,
     };
   }
+
+  //line options of a library conductor, in SI units
+  getConductorOptions(type) {
+    const conductor = this.conductors[type];
+    return {
+      name: conductor?.name || "Custom",
+      linearWeight: conductor?.weight || 10,
+      alpha: conductor?.alpha || 0.0000189,
+      area: (conductor?.area || 400) * 1e-6, //m²
+      modulus: (conductor?.modulus || 70) * 1e9, //Pa
+      diameter: (conductor?.diameter || 25) * 1e-3, //m
+      rts: (conductor?.rts || 100) * 1e3, //N
+    };
+  }
+
+  //fill the tower type selects from the library, so registered types show up too
+  populateTowerTypes() {
+    [this.towerTypeSelect, this.selectedTowerTypeSelect].forEach((select) => {
+      if (!select) {
+        return;
+      }
+      const current = select.value || DEFAULT_TOWER_TYPE;
+      select.innerHTML = "";
+      Object.entries(TOWER_TYPES).forEach(([id, type]) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = type.name;
+        select.appendChild(option);
+      });
+      select.value = TOWER_TYPES[current] ? current : DEFAULT_TOWER_TYPE;
+    });
+  }
+
+  //tower type used for new towers
+  getTowerTypeId() {
+    const id = this.towerTypeSelect?.value;
+    return TOWER_TYPES[id] ? id : DEFAULT_TOWER_TYPE;
+  }
+
+  showTowerInspector({ typeId, heading, autoHeading }) {
+    if (!this.towerInspector) {
+      return;
+    }
+    this.towerInspector.style.display = "";
+    this.selectedTowerTypeSelect.value = typeId;
+    this.setInspectorHeading(heading);
+    this.selectedTowerAutoHeadingCheckbox.checked = autoHeading;
+  }
+
+  setInspectorHeading(heading) {
+    if (this.selectedTowerHeadingInput) {
+      this.selectedTowerHeadingInput.value = heading.toFixed(1);
+    }
+  }
+
+  hideTowerInspector() {
+    if (this.towerInspector) {
+      this.towerInspector.style.display = "none";
+    }
+  }
+
+  //conductor choices are the library ones, plus the one strung when it is not in the library
+  showSpanInspector(options, sectionLabel) {
+    if (!this.spanInspector) {
+      return;
+    }
+    const select = this.selectedSpanConductorSelect;
+    const key = Object.keys(this.conductors).find(
+      (type) =>
+        type !== "custom" &&
+        this.conductors[type].name === options.name &&
+        this.conductors[type].weight === options.linearWeight,
+    );
+    select.innerHTML = "";
+    if (!key) {
+      const option = document.createElement("option");
+      option.value = "";
+      option.textContent = `${options.name || "Custom"} (as strung)`;
+      select.appendChild(option);
+    }
+    Object.entries(this.conductors).forEach(([type, conductor]) => {
+      if (type === "custom") {
+        return;
+      }
+      const option = document.createElement("option");
+      option.value = type;
+      option.textContent = conductor.name;
+      select.appendChild(option);
+    });
+    select.value = key || "";
+
+    this.selectedSpanModeSelect.value = options.mode || "physics";
+    this.selectedSpanTensionInput.value = Math.round(options.hTension || 0);
+    this.selectedSpanSagRatioInput.value = options.sagRatio ?? 0.06;
+    this.selectedSpanLengthInput.value = options.lengthMeters ?? "";
+    this.selectedSpanSection.textContent = sectionLabel;
+    this.spanInspector.style.display = "";
+  }
+
+  hideSpanInspector() {
+    if (this.spanInspector) {
+      this.spanInspector.style.display = "none";
+    }
+  }
+
+  setBundleInputs(bundle) {
+    if (!this.bundleCountSelect) {
+      return;
+    }
+    this.bundleCountSelect.value = String(bundle.count);
+    this.bundleSpacingInput.value = bundle.spacing;
+    this.bundleOrientationInput.value = bundle.orientation;
+    this.spacerIntervalInput.value = bundle.spacerInterval;
+  }
+
+  //spacing and spacer interval in m, orientation in degrees
+  getBundleInput() {
+    const count = parseInt(this.bundleCountSelect.value, 10);
+    const spacing = parseFloat(this.bundleSpacingInput.value);
+    const orientation = parseFloat(this.bundleOrientationInput.value);
+    const spacerInterval = parseFloat(this.spacerIntervalInput.value);
+    return {
+      count: Number.isFinite(count) ? count : 1,
+      spacing: Number.isFinite(spacing) ? spacing : 0.45,
+      orientation: Number.isFinite(orientation) ? orientation : 0,
+      spacerInterval: Number.isFinite(spacerInterval) ? spacerInterval : 60,
+    };
+  }
+
+  /**
+   * Matrix of the attachment points of the first tower (rows) against the
+   * second (columns); a checked cell strings a conductor between them. A point
+   * takes at most one conductor, so checking a cell clears its row and column.
+   * @param {{id: string, phase: string}[]} rows
+   * @param {{id: string, phase: string}[]} columns
+   * @param {string[][]} pairs strung [rowId, columnId] pairs
+   * @param {function(string[][]): void} onChange receives the new pairs
+   */
+  renderPhaseMatrix(rows, columns, pairs, onChange) {
+    if (!this.phaseMatrix) {
+      return;
+    }
+    const table = this.phaseMatrix;
+    table.innerHTML = "";
+    const header = document.createElement("tr");
+    header.appendChild(document.createElement("th"));
+    columns.forEach((column) => {
+      const th = document.createElement("th");
+      th.textContent = `${column.id}·${column.phase}`;
+      th.className = `phase-${column.phase}`;
+      header.appendChild(th);
+    });
+    table.appendChild(header);
+
+    rows.forEach((row) => {
+      const tr = document.createElement("tr");
+      const th = document.createElement("th");
+      th.textContent = `${row.id}·${row.phase}`;
+      th.className = `phase-${row.phase}`;
+      tr.appendChild(th);
+
+      columns.forEach((column) => {
+        const td = document.createElement("td");
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        input.checked = pairs.some(
+          ([id1, id2]) => id1 === row.id && id2 === column.id,
+        );
+        input.addEventListener("change", () => {
+          const kept = pairs.filter(
+            ([id1, id2]) => id1 !== row.id && id2 !== column.id,
+          );
+          onChange(input.checked ? [...kept, [row.id, column.id]] : kept);
+        });
+        td.appendChild(input);
+        tr.appendChild(td);
+      });
+      table.appendChild(tr);
+    });
+  }
+
+  //conductor is a key of the conductor library, empty to keep the one strung
+  //tension and sag ratio must be positive to solve a span
+  getSpanInput() {
+    const length = parseFloat(this.selectedSpanLengthInput.value);
+    const hTension = parseFloat(this.selectedSpanTensionInput.value);
+    const sagRatio = parseFloat(this.selectedSpanSagRatioInput.value);
+    return {
+      conductor: this.selectedSpanConductorSelect.value,
+      mode: this.selectedSpanModeSelect.value,
+      hTension: Number.isFinite(hTension) && hTension > 0 ? hTension : 10000,
+      sagRatio: Number.isFinite(sagRatio) && sagRatio > 0 ? sagRatio : 0.06,
+      lengthMeters: Number.isFinite(length) && length > 0 ? length : undefined,
+    };
+  }
+
+  //type "none" hangs conductors directly on the attachment points; length in m, weight in N
+  getInsulatorOptions() {
+    return {
+      type: this.insulatorTypeSelect?.value || "none",
+      length: parseFloat(this.insulatorLengthInput?.value) || 0,
+      weight: parseFloat(this.insulatorWeightInput?.value) || 0,
+    };
+  }
+
+  //list recorded edits, the undone ones dimmed; clicking a row calls onSelect with the number of edits to keep applied
+  renderHistory(labels, index, onSelect) {
+    if (this.undoBtn) {
+      this.undoBtn.disabled = index === 0;
+    }
+    if (this.redoBtn) {
+      this.redoBtn.disabled = index === labels.length;
+    }
+    const container = this.historyList;
+    if (!container) {
+      return;
+    }
+    container.innerHTML = "";
+
+    if (labels.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "result-empty";
+      empty.textContent = "No edits yet";
+      container.appendChild(empty);
+      return;
+    }
+
+    labels.forEach((label, i) => {
+      const row = document.createElement("div");
+      row.className = "result-row";
+      if (i >= index) {
+        row.classList.add("undone");
+      }
+      if (i === index - 1) {
+        row.classList.add("current");
+      }
+      row.textContent = `${i + 1}. ${label}`;
+      row.addEventListener("click", () => onSelect && onSelect(i + 1));
+      container.appendChild(row);
+    });
+    container.scrollTop = container.scrollHeight;
+  }
+
+  /**
+   * Project tree as indented rows; clicking a row calls onSelect with its node
+   * @param {{label: string, kind: string, depth: number, selected: boolean}[]} nodes in display order
+   * @param {function(Object): void} onSelect
+   */
+  renderProjectTree(nodes, onSelect) {
+    const container = this.projectTree;
+    if (!container) {
+      return;
+    }
+    container.innerHTML = "";
+
+    nodes.forEach((node) => {
+      const row = document.createElement("div");
+      row.className = "result-row tree-row";
+      if (node.selected) {
+        row.classList.add("current");
+      }
+      row.style.paddingLeft = `${8 + node.depth * 12}px`;
+      const kind = document.createElement("span");
+      kind.className = "tree-kind";
+      kind.textContent = node.kind;
+      const label = document.createElement("span");
+      label.textContent = node.label;
+      row.append(kind, label);
+      row.addEventListener("click", () => onSelect(node));
+      container.appendChild(row);
+    });
+  }
+
+  /**
+   * Show the attributes of a project item. Empty voltage and owner are taken
+   * from the item above, shown as placeholders.
+   * @param {string} title
+   * @param {{name: string, voltage: ?number, owner: string}} item
+   * @param {{voltage: ?number, owner: string}} inherited
+   * @param {string[]|null} [lines] names of the lines a section can move to
+   * @param {number} [lineIndex] line of the section
+   */
+  showProjectItem(title, item, inherited, lines = null, lineIndex = 0) {
+    if (!this.projectItemForm) {
+      return;
+    }
+    this.projectItemTitle.textContent = title;
+    this.projectItemNameInput.value = item.name;
+    this.projectItemVoltageInput.value = item.voltage ?? "";
+    this.projectItemVoltageInput.placeholder = inherited.voltage ?? "";
+    this.projectItemOwnerInput.value = item.owner;
+    this.projectItemOwnerInput.placeholder = inherited.owner;
+
+    this.projectItemLineGroup.style.display = lines ? "" : "none";
+    if (lines) {
+      this.projectItemLineSelect.innerHTML = "";
+      lines.forEach((name, index) => {
+        const option = document.createElement("option");
+        option.value = index;
+        option.textContent = name;
+        this.projectItemLineSelect.appendChild(option);
+      });
+      this.projectItemLineSelect.value = lineIndex;
+    }
+    this.projectItemForm.style.display = "";
+  }
+
+  hideProjectItem() {
+    if (this.projectItemForm) {
+      this.projectItemForm.style.display = "none";
+    }
+  }
+
+  //voltage in kV, null to take it from the item above
+  getProjectItemInput() {
+    const voltage = parseFloat(this.projectItemVoltageInput.value);
+    return {
+      name: this.projectItemNameInput.value.trim(),
+      voltage: Number.isFinite(voltage) ? voltage : null,
+      owner: this.projectItemOwnerInput.value.trim(),
+    };
+  }
+
+  setProjectStatus(text) {
+    if (this.projectStatus) {
+      this.projectStatus.textContent = text;
+    }
+  }
+
+  //sample interval in minutes, geoid height in m, report temperatures as typed
+  getExportOptions() {
+    return {
+      interval: Math.max(1, parseFloat(this.exportIntervalInput?.value) || 60),
+      geoidHeight: parseFloat(this.exportGeoidHeightInput?.value) || 0,
+      temperatures: this.reportTemperaturesInput?.value || "",
+    };
+  }
+
+  //geoid height in m
+  getImportOptions() {
+    return {
+      connect: !!this.importConnectCheckbox?.checked,
+      geoidHeight: parseFloat(this.exportGeoidHeightInput?.value) || 0,
+    };
+  }
+
+  setExportStatus(text) {
+    if (this.exportStatus) {
+      this.exportStatus.textContent = text;
+    }
+  }
+
+  //installation temperatures in °C
+  getStringingOptions() {
+    const from = parseFloat(this.stringingFromInput?.value);
+    const to = parseFloat(this.stringingToInput?.value);
+    return {
+      from: Number.isFinite(from) ? from : -10,
+      to: Number.isFinite(to) ? to : 40,
+      step: Math.max(0.5, parseFloat(this.stringingStepInput?.value) || 5),
+    };
+  }
+
+  setStringingStatus(text) {
+    if (this.stringingStatus) {
+      this.stringingStatus.textContent = text;
+    }
+  }
+
+  //panel inputs saved with a project
+  getSettingInputs() {
+    return [
+      this.lineModeSelect,
+      this.conductorTypeSelect,
+      this.systemVoltageInput,
+      this.tensionPctInput,
+      this.hTensionInput,
+      this.linearWeightInput,
+      this.rtsStrengthInput,
+      this.sagRatioInput,
+      this.cableLengthInput,
+      this.loadHeatingInput,
+      this.dynamicLoadCheckbox,
+      this.loadCaseSelect,
+      this.windSpeedInput,
+      this.windDirectionInput,
+      this.showPhaseColorsCheckbox,
+      this.showBlowoutCheckbox,
+      this.showSafetyZoneCheckbox,
+      this.towerTypeSelect,
+      this.alignEndTowersCheckbox,
+      this.insulatorTypeSelect,
+      this.insulatorLengthInput,
+      this.insulatorWeightInput,
+      this.routeMaxSpanInput,
+      this.routeMinSpanInput,
+      this.routeClearanceInput,
+      this.routeTemperatureInput,
+      this.gallopingGapInput,
+      this.exportIntervalInput,
+      this.exportGeoidHeightInput,
+      this.importConnectCheckbox,
+      this.reportTemperaturesInput,
+      this.stringingFromInput,
+      this.stringingToInput,
+      this.stringingStepInput,
+    ].filter((input) => input);
+  }
+
+  //values of the panel inputs by element id
+  getSettings() {
+    const settings = {};
+    this.getSettingInputs().forEach((input) => {
+      settings[input.id] =
+        input.type === "checkbox" ? input.checked : input.value;
+    });
+    return settings;
+  }
+
+  //restore saved panel inputs; inputs missing from the settings keep their value
+  applySettings(settings) {
+    this.getSettingInputs().forEach((input) => {
+      if (!(input.id in settings)) {
+        return;
+      }
+      if (input.type === "checkbox") {
+        input.checked = !!settings[input.id];
+      } else {
+        input.value = settings[input.id];
+      }
+    });
+
+    this.lineModeControl?.querySelectorAll(".segment-btn").forEach((btn) => {
+      btn.classList.toggle(
+        "active",
+        btn.getAttribute("data-value") === this.lineModeSelect.value,
+      );
+    });
+    if (this.loadHeatingVal) {
+      this.loadHeatingVal.textContent = `${this.loadHeatingInput.value}°C`;
+    }
+    const container = document.getElementById("loadProfileContainer");
+    if (container) {
+      container.style.display = this.dynamicLoadCheckbox.checked
+        ? "flex"
+        : "none";
+    }
+    this.updateVisibility();
+    this.updateConductorValues();
+    this.updateCalculations();
+  }
+
+  //spans in m, clearance in m, temperature of the clearance check in °C
+  //spans must be positive for the spotting to advance along the route
+  getRouteOptions() {
+    const maxSpan = parseFloat(this.routeMaxSpanInput?.value);
+    const minSpan = parseFloat(this.routeMinSpanInput?.value);
+    const clearance = parseFloat(this.routeClearanceInput?.value);
+    const temperature = parseFloat(this.routeTemperatureInput?.value);
+    return {
+      maxSpan: Number.isFinite(maxSpan) && maxSpan > 0 ? maxSpan : 400,
+      minSpan: Number.isFinite(minSpan) && minSpan > 0 ? minSpan : 80,
+      clearance: Number.isFinite(clearance) ? clearance : 6.5,
+      temperature: Number.isFinite(temperature) ? temperature : 75,
+    };
+  }
+
+  //air gap between galloping ellipses as a fraction of the static phase clearance
+  getGallopingGap() {
+    const percent = parseFloat(this.gallopingGapInput?.value);
+    return Number.isFinite(percent) && percent >= 0 ? percent / 100 : 0.25;
+  }
+
+  setRouteStatus(text) {
+    if (this.routeStatus) {
+      this.routeStatus.textContent = text;
+    }
+  }
+
+  showAttachmentEditor(typeName) {
+    if (!this.attachmentEditor) {
+      return;
+    }
+    this.attachmentEditor.style.display = "";
+    this.attachmentEditorTitle.textContent = `Attachment Points · ${typeName}`;
+    this.setPickResult("");
+  }
+
+  hideAttachmentEditor() {
+    if (this.attachmentEditor) {
+      this.attachmentEditor.style.display = "none";
+    }
+  }
+
+  getAttachmentInput() {
+    return {
+      phase: this.attachmentPhaseSelect?.value || "A",
+      circuit: Math.max(1, parseInt(this.attachmentCircuitInput?.value) || 1),
+    };
+  }
+
+  setPickResult(text) {
+    if (this.pickResult) {
+      this.pickResult.textContent = text;
+      this.pickResult.style.color = "";
+    }
+  }
+
+  //list the draft attachment points; the ✖ of a row calls onRemove with its index
+  renderAttachmentList(attachments, onRemove) {
+    const container = this.attachmentList;
+    if (!container) {
+      return;
+    }
+    container.innerHTML = "";
+
+    if (attachments.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "result-empty";
+      empty.textContent = "No attachment points";
+      container.appendChild(empty);
+      return;
+    }
+
+    attachments.forEach((attachment, index) => {
+      const row = document.createElement("div");
+      row.className = "result-row";
+
+      const name = document.createElement("span");
+      name.textContent = `${attachment.id} ${attachment.phase}/${attachment.circuit}`;
+      const value = document.createElement("span");
+      value.textContent = `${attachment.x.toFixed(2)}, ${attachment.y.toFixed(2)}, ${attachment.z.toFixed(2)} ✖`;
+
+      row.append(name, value);
+      row.title = "Remove this point";
+      row.addEventListener("click", () => onRemove && onRemove(index));
+      container.appendChild(row);
+    });
+  }
+
+  getLoadCase() {
+    const key = this.loadCaseSelect?.value || "bare";
+    return LOAD_CASES[key] || LOAD_CASES.bare;
+  }
+
+  //wind speed in m/s, direction in degrees clockwise from north (blowing from)
+  getWind() {
+    return {
+      speed: parseFloat(this.windSpeedInput?.value) || 0,
+      direction: parseFloat(this.windDirectionInput?.value) || 0,
+    };
+  }
+
+  //list clearance results, worst first; clicking a row calls onSelect with its result
+  renderClearanceResults(results, onSelect) {
+    const container = this.clearanceResults;
+    if (!container) {
+      return;
+    }
+    container.innerHTML = "";
+
+    if (results.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "result-empty";
+      empty.textContent = "No conductors to analyze";
+      container.appendChild(empty);
+      return;
+    }
+
+    results.forEach((result) => {
+      const row = document.createElement("div");
+      row.className = "result-row";
+      if (result.violations.length > 0) {
+        row.classList.add("violation");
+      }
+
+      const name = document.createElement("span");
+      name.textContent = `Span ${result.span} ${result.phase}`;
+      const value = document.createElement("span");
+      value.textContent = `${result.minClearance.toFixed(2)} m @ ${result.minDistance.toFixed(0)} m`;
+      if (result.violations.length > 0) {
+        value.textContent += ` (${result.violations.length}✖)`;
+      }
+
+      row.append(name, value);
+      row.title = `Required ${result.required.toFixed(2)} m at ${(result.temperature ?? 20).toFixed(1)}°C`;
+      row.addEventListener("click", () => onSelect && onSelect(result));
+      container.appendChild(row);
+    });
+  }
+
+  renderPhaseClearanceResults(results) {
+    const container = this.phaseClearanceResults;
+    if (!container) {
+      return;
+    }
+    container.innerHTML = "";
+
+    if (results.length === 0) {
+      const empty = document.createElement("div");
+      empty.className = "result-empty";
+      empty.textContent = "No spans to check";
+      container.appendChild(empty);
+      return;
+    }
+
+    results.forEach((result) => {
+      const row = document.createElement("div");
+      row.className = "result-row";
+      if (result.violation || result.gallopingViolation) {
+        row.classList.add("violation");
+      }
+
+      const name = document.createElement("span");
+      name.textContent = `Span ${result.span} ${result.phaseA}–${result.phaseB}`;
+      const value = document.createElement("span");
+      value.textContent = `${result.distance.toFixed(2)} m`;
+      if (result.galloping) {
+        value.textContent += ` / G ${result.galloping.distance.toFixed(2)} m`;
+      }
+
+      row.append(name, value);
+      row.title = `Required ${result.required.toFixed(2)} m, galloping ${result.requiredGalloping.toFixed(2)} m`;
+      container.appendChild(row);
+    });
+  }
 }
@@ -34,6 +34,10 @@ export class TransformGizmo {
 
     this._gizmoHeight = 5.0; //little gizmo height
 
+    //called with the target when a drag starts and ends, to record the edit
+    this.onTransformStart = null;
+    this.onTransformEnd = null;
+
     this.createGizmos();
     this.setupEvents();
   }
@@ -225,6 +229,9 @@ export class TransformGizmo {
       const type = picked.id.properties.gizmoType.getValue();
       this._dragging = true;
       this._dragMode = type;
+      if (this.onTransformStart) {
+        this.onTransformStart(this._target);
+      }
 
       this.viewer.scene.screenSpaceCameraController.enableRotate = false;
       this.viewer.scene.screenSpaceCameraController.enableTranslate = false;
@@ -283,6 +290,9 @@ export class TransformGizmo {
       this._dragMode = null;
       this.viewer.scene.screenSpaceCameraController.enableRotate = true;
       this.viewer.scene.screenSpaceCameraController.enableTranslate = true;
+      if (this.onTransformEnd && this._target) {
+        this.onTransformEnd(this._target);
+      }
     }
   }
 
@@ -314,6 +324,10 @@ export class TransformGizmo {
 
     const newHeading = this._startEntityHeading - angleDiffDeg;
 
+    //turning a tower by hand takes it off automatic heading
+    if (this._target.properties?.autoHeading) {
+      this._target.properties.autoHeading = false;
+    }
     this.updateTargetHeading(newHeading);
   }
 
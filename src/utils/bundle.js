@@ -0,0 +1,111 @@
+import { Cartesian3, Math as CesiumMath } from "cesium";
+
+export const MAX_BUNDLE_COUNT = 4;
+
+/**
+ * Bundle of identical sub-conductors held apart by spacers
+ * @param {{count?: number, spacing?: number, orientation?: number, spacerInterval?: number}} options
+ * @returns {{count: number, spacing: number, orientation: number, spacerInterval: number}} spacing between neighbouring sub-conductors and spacer interval in m, orientation in degrees
+ */
+export function createBundle(options = {}) {
+  const count = Math.round(options.count ?? 1);
+  return {
+    count: Math.min(MAX_BUNDLE_COUNT, Math.max(1, count || 1)),
+    spacing: Math.max(0, options.spacing ?? 0.45),
+    orientation: options.orientation ?? 0,
+    spacerInterval: Math.max(1, options.spacerInterval ?? 60),
+  };
+}
+
+/**
+ * Positions of the sub-conductors on a regular polygon around the bundle
+ * centre, flat side down: twin bundles are horizontal, triple bundles point
+ * up and quad bundles are square. The orientation turns the polygon.
+ * @param {Object} bundle from createBundle
+ * @returns {{x: number, z: number}[]} offsets across the line and up (m)
+ */
+export function bundleOffsets(bundle) {
+  const { count, spacing } = bundle;
+  if (count < 2) {
+    return [{ x: 0, z: 0 }];
+  }
+  const radius = spacing / (2 * Math.sin(Math.PI / count));
+  const start = CesiumMath.toRadians(bundle.orientation) - Math.PI / 2;
+  const offsets = [];
+  for (let k = 0; k < count; k++) {
+    const angle = start + (Math.PI * (2 * k + 1)) / count;
+    offsets.push({ x: radius * Math.cos(angle), z: radius * Math.sin(angle) });
+  }
+  return offsets;
+}
+
+/**
+ * World offset vectors of the sub-conductors of a span. Sub-conductors share
+ * the load and tension of the bundle and are offset equally at both ends, so
+ * each hangs in the solved catenary of the bundle centre, translated.
+ * @param {Object} bundle from createBundle
+ * @param {Cartesian3} start bundle centre at the first support
+ * @param {Cartesian3} end bundle centre at the second support
+ * @returns {Cartesian3[]}
+ */
+export function subConductorOffsets(bundle, start, end) {
+  const up = Cartesian3.normalize(
+    Cartesian3.midpoint(start, end, new Cartesian3()),
+    new Cartesian3(),
+  );
+  const chord = Cartesian3.subtract(end, start, new Cartesian3());
+  const along = Cartesian3.subtract(
+    chord,
+    Cartesian3.multiplyByScalar(
+      up,
+      Cartesian3.dot(chord, up),
+      new Cartesian3(),
+    ),
+    new Cartesian3(),
+  );
+  if (Cartesian3.magnitude(along) < 1e-6) {
+    return bundleOffsets(bundle).map(() => new Cartesian3());
+  }
+  Cartesian3.normalize(along, along);
+  const across = Cartesian3.cross(along, up, new Cartesian3());
+
+  return bundleOffsets(bundle).map(({ x, z }) =>
+    Cartesian3.add(
+      Cartesian3.multiplyByScalar(across, x, new Cartesian3()),
+      Cartesian3.multiplyByScalar(up, z, new Cartesian3()),
+      new Cartesian3(),
+    ),
+  );
+}
+
+/**
+ * Indices into a conductor polyline where spacers go: evenly along the
+ * conductor, no further apart than the spacer interval
+ * @param {Cartesian3[]} positions conductor polyline
+ * @param {number} interval longest distance between spacers (m)
+ * @returns {number[]}
+ */
+export function spacerIndices(positions, interval) {
+  if (positions.length < 3) {
+    return [];
+  }
+  const distances = [0];
+  for (let i = 1; i < positions.length; i++) {
+    distances.push(
+      distances[i - 1] + Cartesian3.distance(positions[i - 1], positions[i]),
+    );
+  }
+  const length = distances[distances.length - 1];
+  const count = Math.ceil(length / interval) - 1;
+
+  const indices = [];
+  let i = 0;
+  for (let k = 1; k <= count; k++) {
+    const target = (length * k) / (count + 1);
+    while (i < distances.length - 1 && distances[i] < target) {
+      i++;
+    }
+    indices.push(i);
+  }
+  return indices;
+}
@@ -1,7 +1,258 @@
-import { Cartesian3, Transforms, Matrix4 } from "cesium";
+import {
+  Cartesian3,
+  Cartographic,
+  Transforms,
+  Matrix4,
+  Math as CesiumMath,
+} from "cesium";
+
+//local east-north-up frame of a span, centered at the chord midpoint
+function computeSpanFrame(startPos, endPos) {
+  const mid = Cartesian3.midpoint(startPos, endPos, new Cartesian3());
+  const enu = Transforms.eastNorthUpToFixedFrame(mid);
+  const invEnu = Matrix4.inverse(enu, new Matrix4());
+
+  const p0 = Matrix4.multiplyByPoint(invEnu, startPos, new Cartesian3());
+  const p1 = Matrix4.multiplyByPoint(invEnu, endPos, new Cartesian3());
+
+  const dx = p1.x - p0.x;
+  const dy = p1.y - p0.y;
+  const L = Math.hypot(dx, dy);
+
+  return {
+    enu,
+    p0,
+    L,
+    dirX: L > 0 ? dx / L : 1,
+    dirY: L > 0 ? dy / L : 0,
+    z0: p0.z,
+    dz: p1.z - p0.z,
+  };
+}
+
+//unit vector of the sag direction: -z rotated about the chord axis by swingAngle (rad)
+function swingVector(frame, swingAngle) {
+  const { L, dirX, dirY, dz } = frame;
+
+  //Rodrigues rotation of -z about the chord axis k: -z cos + (k x -z) sin + k (k . -z)(1 - cos)
+  const chordLen = Math.hypot(L, dz);
+  const kx = (dirX * L) / chordLen;
+  const ky = (dirY * L) / chordLen;
+  const kz = dz / chordLen;
+  const cos = Math.cos(swingAngle);
+  const sin = Math.sin(swingAngle);
+  const kDotV = -kz;
+  return {
+    x: -ky * sin + kx * kDotV * (1 - cos),
+    y: kx * sin + ky * kDotV * (1 - cos),
+    z: -cos + kz * kDotV * (1 - cos),
+  };
+}
+
+//world position at horizontal distance x along the span, `sag` below the chord in the swing direction
+function pointBelowChord(frame, x, sag, v) {
+  const { enu, p0, L, dirX, dirY, z0, dz } = frame;
+  const local = new Cartesian3(
+    p0.x + dirX * x + v.x * sag,
+    p0.y + dirY * x + v.y * sag,
+    z0 + (dz * x) / L + v.z * sag,
+  );
+  return Matrix4.multiplyByPoint(enu, local, new Cartesian3());
+}
+
+//conductor points hanging `sags` (vertical, per sample) below the chord, swung about the chord by swingAngle (rad)
+function swingAboutChord(frame, sags, swingAngle) {
+  const numPoints = sags.length - 1;
+  const v = swingVector(frame, swingAngle);
+
+  const positions = [];
+  for (let i = 0; i <= numPoints; i++) {
+    const x = (i / numPoints) * frame.L;
+    positions.push(pointBelowChord(frame, x, sags[i], v));
+  }
+  return positions;
+}
 
 /**
- * Function to create a true catenary between two supports (assuming always uneven heights)
+ * Engineering results of a solved catenary z = a cosh((x - b) / a) + c, in the
+ * plane of the load. Vertical reactions are positive when the support carries
+ * the conductor; a negative value is uplift.
+ * @param {Object} frame span frame from computeSpanFrame
+ * @param {number} a catenary constant H/w (m)
+ * @param {number} b horizontal distance of the low point from the start support (m)
+ * @param {number} c
+ * @param {number} linearWeight unit load (N/m)
+ * @param {number} swingAngle (rad)
+ * @returns {Object}
+ */
+function computeSupportResults(frame, a, b, c, linearWeight, swingAngle) {
+  const { L, z0, dz } = frame;
+  const hTension = a * linearWeight;
+  const u0 = -b / a;
+  const u1 = (L - b) / a;
+
+  const support = (u, sign) => ({
+    tension: hTension * Math.cosh(u),
+    horizontal: hTension,
+    vertical: sign * hTension * Math.sinh(u),
+    //angle of the conductor below horizontal as it leaves the support
+    angle: CesiumMath.toDegrees(Math.atan(sign * Math.sinh(u))),
+  });
+
+  //low point of the catenary, virtual when it falls outside the span
+  const sagAtLow = z0 + (dz * b) / L - (a + c);
+  const lowPosition = pointBelowChord(
+    frame,
+    b,
+    sagAtLow,
+    swingVector(frame, swingAngle),
+  );
+  const inSpan = b >= 0 && b <= L;
+
+  return {
+    supports: [support(u0, -1), support(u1, 1)],
+    lowPoint: {
+      distance: b,
+      elevation: Cartographic.fromCartesian(lowPosition).height,
+      position: lowPosition,
+      inSpan: inSpan,
+    },
+    arcLength: a * (Math.sinh(u1) - Math.sinh(u0)),
+    uplift: !inSpan,
+  };
+}
+
+/**
+ * Transverse wind load on a span, from the component of the wind normal to it
+ * @param {Object} frame span frame from computeSpanFrame
+ * @param {Object} options windPressure (Pa), windDirection (deg, blowing from), diameter (m)
+ * @returns {number} signed load (N/m), positive to the left of the span
+ */
+function computeWindLoad(frame, options) {
+  const windPressure = options.windPressure ?? 0;
+  if (!(windPressure > 0)) {
+    return 0;
+  }
+  const bearing = CesiumMath.toRadians(options.windDirection ?? 0);
+  const towardE = -Math.sin(bearing);
+  const towardN = -Math.cos(bearing);
+  //component of the wind normal to the span, squared as in the crossflow principle
+  const c = -towardE * frame.dirY + towardN * frame.dirX;
+  return windPressure * (options.diameter ?? 0.025) * c * Math.abs(c);
+}
+
+/**
+ * Transverse wind load on the span between two supports, for callers that
+ * solve the tension for the load the span actually carries
+ * @param {Cartesian3} startPos
+ * @param {Cartesian3} endPos
+ * @param {Object} options windPressure (Pa), windDirection (deg, blowing from), diameter (m)
+ * @returns {number} signed load (N/m), positive to the left of the span
+ */
+export function computeSpanWindLoad(startPos, endPos, options) {
+  return computeWindLoad(computeSpanFrame(startPos, endPos), options);
+}
+
+/**
+ * Newton iteration safeguarded by a bracket: any step that leaves the bracket
+ * is replaced by bisection, so the iteration cannot diverge. f must change sign
+ * on [lo, hi].
+ * @param {function(number): number} f
+ * @param {function(number): number} df derivative of f
+ * @param {number} lo
+ * @param {number} hi
+ * @param {Object} [options] initial guess, tolerance on |f|, maxIterations
+ * @returns {{root: number, iterations: number, residual: number, converged: boolean, method: string, fallbackReason: (string|null)}}
+ */
+export function solveNewtonBracketed(f, df, lo, hi, options = {}) {
+  const tolerance = options.tolerance ?? 1e-10;
+  const maxIterations = options.maxIterations ?? 100;
+
+  const fLo = f(lo);
+  const fHi = f(hi);
+  if (!isFinite(fLo) || !isFinite(fHi) || fLo * fHi > 0) {
+    return {
+      root: NaN,
+      iterations: 0,
+      residual: NaN,
+      converged: false,
+      method: "newton",
+      fallbackReason: "root not bracketed",
+    };
+  }
+  const loSign = Math.sign(fLo);
+
+  let x = options.initial;
+  if (!(x > Math.min(lo, hi) && x < Math.max(lo, hi))) {
+    x = 0.5 * (lo + hi);
+  }
+  let fx = f(x);
+  let bisections = 0;
+  let iterations = 0;
+
+  while (Math.abs(fx) > tolerance && iterations < maxIterations) {
+    iterations++;
+    if (Math.sign(fx) === loSign) {
+      lo = x;
+    } else {
+      hi = x;
+    }
+
+    let next = x - fx / df(x);
+    if (
+      !isFinite(next) ||
+      next <= Math.min(lo, hi) ||
+      next >= Math.max(lo, hi)
+    ) {
+      next = 0.5 * (lo + hi);
+      bisections++;
+    }
+    if (next === x) {
+      break;
+    }
+    x = next;
+    fx = f(x);
+  }
+
+  const converged = isFinite(fx) && Math.abs(fx) <= tolerance;
+  return {
+    root: x,
+    iterations: iterations,
+    residual: fx,
+    converged: converged,
+    method: bisections > 0 ? "newton-bisection" : "newton",
+    fallbackReason: converged ? null : "did not converge",
+  };
+}
+
+//bracket [lo, hi] of an increasing function with f(lo) < 0, grown until f(hi) > 0
+function bracketIncreasing(f, lo, hi, maxHi) {
+  while (f(hi) < 0 && hi < maxHi) {
+    lo = hi;
+    hi = Math.min(hi * 2, maxHi);
+  }
+  return [lo, hi];
+}
+
+//largest L/(2a) for which cosh stays finite with margin
+const MAX_XI = 300;
+
+/**
+ * Function to create a true catenary between two supports (assuming always uneven heights).
+ * When a wind pressure is given the catenary lies in the plane of the resultant load,
+ * swung about the chord by the blowout angle.
+ *
+ * The shape is solved in xi = L / (2a), with a = H / w the catenary constant:
+ * - physics: a from the tension, the low point b in closed form
+ * - length: sinh(xi) / xi = sqrt(S² - dz²) / L, by bracketed Newton
+ * - sag: mid-span sag a * cosh(m) * (cosh(xi) - 1) = sagRatio * L, by bracketed Newton
+ *
+ * positions.metadata.solver reports how the shape was obtained; an `approximate`
+ * flag is set whenever the drawn shape is not a converged catenary.
+ * With verticalLoad (N/m, weight and ice) the unit load is rebuilt from it and
+ * the transverse windLoad (N/m, signed), which is derived from windPressure and
+ * windDirection when not given. In physics mode, options.tensionSolver is the
+ * status of the solver that produced hTension and is reported when it did not converge.
  * @param {Cartesian3} startPos
  * @param {Cartesian3} endPos
  * @param {Object} options
@@ -11,54 +262,71 @@ export function createTransmissionLine(startPos, endPos, options = {}) {
   const numPoints = options.numPoints ?? 64;
   const sagRatio = options.sagRatio ?? 0.06; //sag mode
   const lengthMeters = options.lengthMeters; //length mode
-  const linearWeight = options.linearWeight ?? 30;
   const hTension = options.hTension ?? 15000;
   const mode = options.mode ?? "physics";
 
-  const mid = Cartesian3.midpoint(startPos, endPos, new Cartesian3());
-  const enu = Transforms.eastNorthUpToFixedFrame(mid);
-  const invEnu = Matrix4.inverse(enu, new Matrix4());
-
-  const p0 = Matrix4.multiplyByPoint(invEnu, startPos, new Cartesian3());
-  const p1 = Matrix4.multiplyByPoint(invEnu, endPos, new Cartesian3());
-
-  const dx = p1.x - p0.x;
-  const dy = p1.y - p0.y;
-  const L = Math.hypot(dx, dy);
+  const frame = computeSpanFrame(startPos, endPos);
+  const { L, z0, dz } = frame;
   if (L < 0.1) {
-    return [startPos, endPos];
+    const positions = [startPos, endPos];
+    positions.metadata = {
+      sag: 0,
+      approximate: true,
+      solver: {
+        method: "straight",
+        iterations: 0,
+        residual: 0,
+        converged: false,
+        fallbackReason: "supports are vertically aligned",
+      },
+    };
+    return positions;
   }
-  const dirX = dx / L;
-  const dirY = dy / L;
-  const z0 = p0.z;
-  const z1 = p1.z;
-  const dz = z1 - z0;
+  const z1 = z0 + dz;
   const chordLen = Math.hypot(L, dz);
 
-  function buildPositionsFromParams(a, b, c) {
-    const positions = [];
-    let minZ = Number.POSITIVE_INFINITY;
-    let maxZ = Number.NEGATIVE_INFINITY;
+  //blowout: the conductor hangs along the resultant of weight and transverse wind,
+  //with the wind load given by the caller or taken from the wind options
+  const verticalLoad = options.verticalLoad ?? options.linearWeight ?? 30;
+  const windLoad = options.windLoad ?? computeWindLoad(frame, options);
+  const swingAngle = windLoad !== 0 ? Math.atan2(windLoad, verticalLoad) : 0;
+  const linearWeight =
+    options.verticalLoad === undefined && windLoad === 0
+      ? (options.linearWeight ?? 30)
+      : Math.hypot(verticalLoad, windLoad) + (options.loadConstant ?? 0);
+
+  //low point b for a catenary constant a, from z(L) - z(0) = dz
+  function lowPointFor(a) {
+    const xi = L / (2 * a);
+    return L / 2 - a * Math.asinh(dz / (2 * a * Math.sinh(xi)));
+  }
 
+  //last resort: simple parabola through both supports
+  function buildParabola(midSag, solver) {
+    const sags = [];
     for (let i = 0; i <= numPoints; i++) {
       const t = i / numPoints;
-      const x = t * L;
-      const z = a * Math.cosh((x - b) / a) + c;
-
-      if (z < minZ) {
-        minZ = z;
-      }
-      if (z > maxZ) {
-        maxZ = z;
-      }
-
-      const xLocal = p0.x + dirX * x;
-      const yLocal = p0.y + dirY * x;
-      const local = new Cartesian3(xLocal, yLocal, z);
-      positions.push(Matrix4.multiplyByPoint(enu, local, new Cartesian3()));
+      sags.push(midSag * (4 * t * (1 - t)));
     }
+    const positions = swingAboutChord(frame, sags, swingAngle);
+    positions.metadata = {
+      sag: midSag,
+      linearWeight: linearWeight,
+      windLoad: windLoad,
+      swingAngle: CesiumMath.toDegrees(swingAngle),
+      sags: sags,
+      approximate: true,
+      solver: { ...solver, method: "parabola" },
+    };
+    return positions;
+  }
 
-    //calculate Sag (approximate as max vertical distance from chord)
+  function buildPositionsFromParams(a, solver) {
+    const b = lowPointFor(a);
+    const c = z0 - a * Math.cosh(-b / a);
+
+    //vertical distance from chord to curve at every sample
+    const sags = [];
     let maxSag = 0;
     for (let i = 0; i <= numPoints; i++) {
       const t = i / numPoints;
@@ -66,321 +334,316 @@ export function createTransmissionLine(startPos, endPos, options = {}) {
       const zCurve = a * Math.cosh((x - b) / a) + c;
       const zChord = z0 + (z1 - z0) * t;
       const sag = zChord - zCurve;
+      sags.push(sag);
       if (sag > maxSag) {
         maxSag = sag;
       }
     }
 
+    if (!sags.every(isFinite)) {
+      return buildParabola((L * L) / (8 * a), {
+        ...solver,
+        converged: false,
+        fallbackReason: "catenary overflow",
+      });
+    }
+
+    const positions = swingAboutChord(frame, sags, swingAngle);
+
     positions.metadata = {
       a: a,
       sag: maxSag,
       hTension: a * linearWeight,
       linearWeight: linearWeight,
+      windLoad: windLoad,
+      swingAngle: CesiumMath.toDegrees(swingAngle),
+      sags: sags,
+      ...computeSupportResults(frame, a, b, c, linearWeight, swingAngle),
+      approximate: !solver.converged || !!solver.fallbackReason,
+      solver: solver,
     };
 
     return positions;
   }
 
+  //solve xi = L / (2a) for an increasing residual, then build the catenary
+  function solveForXi(f, df, initial, tolerance, fallbackReason) {
+    const [lo, hi] = bracketIncreasing(
+      f,
+      1e-9,
+      Math.max(initial, 1e-3),
+      MAX_XI,
+    );
+    const result = solveNewtonBracketed(f, df, lo, hi, {
+      initial,
+      tolerance,
+    });
+    const solver = {
+      method: result.method,
+      iterations: result.iterations,
+      residual: result.residual,
+      converged: result.converged,
+      fallbackReason: result.fallbackReason || fallbackReason || null,
+    };
+    if (!isFinite(result.root)) {
+      return buildParabola(sagRatio * L, solver);
+    }
+    return buildPositionsFromParams(L / (2 * result.root), solver);
+  }
+
   if (mode === "physics") {
     const a = hTension / Math.max(1e-6, linearWeight);
-    //solve b so that z(L) - z(0) = dz
-    const D = dz;
-    const solveB = () => {
-      const fb = (b) => a * (Math.cosh((L - b) / a) - Math.cosh(-b / a)) - D;
-      let lo = -L * 10;
-      let hi = L * 10;
-      let fLo = fb(lo);
-      let fHi = fb(hi);
-      let expand = 0;
-      while (
-        (fLo * fHi > 0 || !isFinite(fLo) || !isFinite(fHi)) &&
-        expand < 30
-      ) {
-        lo *= 2;
-        hi *= 2;
-        fLo = fb(lo);
-        fHi = fb(hi);
-        expand++;
-      }
-      if (fLo * fHi > 0 || !isFinite(fLo) || !isFinite(fHi)) {
-        return 0;
-      }
-      for (let i = 0; i < 60; i++) {
-        const bm = 0.5 * (lo + hi);
-        const f = fb(bm);
-        if (Math.abs(f) < 1e-5) {
-          return bm;
-        }
-        if (f * fLo < 0) {
-          hi = bm;
-          fHi = f;
-        } else {
-          lo = bm;
-          fLo = f;
-        }
-      }
-      return 0.5 * (lo + hi);
-    };
-    const b = solveB();
-    const c = z0 - a * Math.cosh(-b / a);
-    return buildPositionsFromParams(a, b, c);
+    //a tension that was itself only approximated makes the shape approximate too
+    const tensionSolver = options.tensionSolver;
+    const solver =
+      tensionSolver && !tensionSolver.converged
+        ? { ...tensionSolver }
+        : {
+            method: "closed-form",
+            iterations: 0,
+            residual: 0,
+            converged: true,
+            fallbackReason: null,
+          };
+    if (L / (2 * a) > MAX_XI) {
+      return buildParabola((linearWeight * L * L) / (8 * hTension), {
+        ...solver,
+        converged: false,
+        fallbackReason: "tension too low for span",
+      });
+    }
+    return buildPositionsFromParams(a, solver);
   }
 
-  if (
-    mode === "length" &&
-    typeof lengthMeters === "number" &&
-    isFinite(lengthMeters) &&
-    lengthMeters > 0
-  ) {
-    const S = Math.max(lengthMeters, chordLen + 1e-6);
-    const D = dz;
-
-    const solveBForA = (a) => {
-      const fb = (b) => {
-        const u0 = -b / a;
-        const u1 = (L - b) / a;
-        return a * (Math.cosh(u1) - Math.cosh(u0)) - D;
-      };
-      let lo = -L * 10;
-      let hi = L * 10;
-      let fLo = fb(lo);
-      let fHi = fb(hi);
-      let expand = 0;
-      while (
-        (fLo * fHi > 0 || !isFinite(fLo) || !isFinite(fHi)) &&
-        expand < 30
-      ) {
-        lo *= 2;
-        hi *= 2;
-        fLo = fb(lo);
-        fHi = fb(hi);
-        expand++;
-      }
-      if (fLo * fHi > 0 || !isFinite(fLo) || !isFinite(fHi)) {
-        return null;
-      }
-      for (let i = 0; i < 60; i++) {
-        const bm = 0.5 * (lo + hi);
-        const f = fb(bm);
-        if (Math.abs(f) < 1e-5) {
-          return bm;
-        }
-        if (f * fLo < 0) {
-          hi = bm;
-          fHi = f;
-        } else {
-          lo = bm;
-          fLo = f;
-        }
-      }
-      return 0.5 * (lo + hi);
-    };
+  if (mode === "length" && isFinite(lengthMeters) && lengthMeters > 0) {
+    let fallbackReason = null;
+    let S = lengthMeters;
+    if (S <= chordLen) {
+      S = chordLen * (1 + 1e-6);
+      fallbackReason = "cable shorter than chord, clamped";
+    }
+    //2a sinh(L / 2a) = sqrt(S² - dz²)  <=>  sinh(xi) / xi = r
+    const r = Math.sqrt(S * S - dz * dz) / L;
+    const g = (xi) => Math.sinh(xi) / xi - r;
+    const dg = (xi) => (xi * Math.cosh(xi) - Math.sinh(xi)) / (xi * xi);
+    //small-xi series sinh(xi) / xi = 1 + xi² / 6
+    const initial = Math.sqrt(6 * (r - 1));
+    return solveForXi(g, dg, initial, 1e-12, fallbackReason);
+  }
 
-    const lengthResidual = (a) => {
-      const b = solveBForA(a);
-      if (b === null) {
-        return Number.POSITIVE_INFINITY;
-      }
-      const u1 = (L - b) / a;
-      const S_pred = a * (Math.sinh(u1) + Math.sinh(b / a));
-      return S_pred - S;
-    };
+  //sag mode (and length mode without a length)
+  const targetSag = sagRatio * L;
+  const midSag = (xi) => {
+    const a = L / (2 * xi);
+    const k = (dz * xi) / (L * Math.sinh(xi));
+    return a * Math.sqrt(1 + k * k) * (Math.cosh(xi) - 1);
+  };
+  const h = (xi) => midSag(xi) - targetSag;
+  const dh = (xi) => {
+    const step = Math.max(1e-7, xi * 1e-6);
+    return (midSag(xi + step) - midSag(xi - step)) / (2 * step);
+  };
+  //level-span parabola: sag = L xi / 4
+  const initial = (4 * targetSag) / L;
+  return solveForXi(
+    h,
+    dh,
+    initial,
+    1e-6,
+    mode === "length" ? "no cable length, used sag ratio" : null,
+  );
+}
 
-    let aLo = Math.max(L / 600, 0.1);
-    let aHi = L * 1000;
+/**
+ * Outline of the area swept by a conductor swinging to either side of its chord,
+ * for horizontal clearance checks
+ * @param {Cartesian3} startPos
+ * @param {Cartesian3} endPos
+ * @param {Object} metadata metadata of a solved span from createTransmissionLine
+ * @returns {Cartesian3[]} ring of positions, empty when the span has no swing
+ */
+export function createBlowoutEnvelope(startPos, endPos, metadata) {
+  if (!metadata || !metadata.sags || !metadata.swingAngle) {
+    return [];
+  }
+  const frame = computeSpanFrame(startPos, endPos);
+  const angle = CesiumMath.toRadians(Math.abs(metadata.swingAngle));
+  const left = swingAboutChord(frame, metadata.sags, angle);
+  const right = swingAboutChord(frame, metadata.sags, -angle);
+  return left.concat(right.reverse());
+}
 
-    let fLo = lengthResidual(aLo);
-    let fHi = lengthResidual(aHi);
+/**
+ * Ruling span (equivalent span) of a line section: sqrt(sum(L^3) / sum(L))
+ * @param {number[]} spanLengths horizontal span lengths in meters
+ * @returns {number}
+ */
+export function computeRulingSpan(spanLengths) {
+  let sumCube = 0;
+  let sum = 0;
+  for (const length of spanLengths) {
+    if (!(length > 0)) {
+      continue;
+    }
+    sumCube += length * length * length;
+    sum += length;
+  }
+  if (sum === 0) {
+    return 0;
+  }
+  return Math.sqrt(sumCube / sum);
+}
 
-    const hasBracket = (v1, v2) => {
-      if (v1 === Number.POSITIVE_INFINITY && v2 < 0) {
-        return true;
-      }
-      if (v2 === Number.POSITIVE_INFINITY && v1 < 0) {
-        return true;
-      }
-      return v1 * v2 < 0;
-    };
+/**
+ * Conductor length of a level catenary span
+ * @param {number} hTension horizontal tension (N)
+ * @param {number} linearWeight unit load (N/m)
+ * @param {number} span horizontal span length (m)
+ * @returns {number}
+ */
+export function levelSpanLength(hTension, linearWeight, span) {
+  const a = hTension / Math.max(1e-6, linearWeight);
+  return 2 * a * Math.sinh(span / (2 * a));
+}
 
-    let guard = 0;
-    while (!hasBracket(fLo, fHi) && guard < 20) {
-      if (fLo > 0 && fHi > 0) {
-        aHi *= 2;
-        fHi = lengthResidual(aHi);
-      } else if (fLo < 0 && fHi < 0) {
-        aLo *= 0.5;
-        fLo = lengthResidual(aLo);
-      } else {
-        aLo *= 0.5;
-        aHi *= 2;
-        fLo = lengthResidual(aLo);
-        fHi = lengthResidual(aHi);
-      }
-      guard++;
-    }
+/**
+ * Mid-span sag of a level catenary span
+ * @param {number} hTension horizontal tension (N)
+ * @param {number} linearWeight unit load (N/m)
+ * @param {number} span horizontal span length (m)
+ * @returns {number}
+ */
+export function levelSpanSag(hTension, linearWeight, span) {
+  const a = hTension / Math.max(1e-6, linearWeight);
+  return a * (Math.cosh(span / (2 * a)) - 1);
+}
 
-    if (!hasBracket(fLo, fHi)) {
-      console.warn(
-        "Catenary solver failed to bracket 'a'. Falling back to sag ratio.",
-        { S, L, aLo, aHi, fLo, fHi },
-      );
-      return createSagBased();
-    }
-    //solve a by bisection
-    let a = 0.5 * (aLo + aHi);
-    for (let i = 0; i < 60; i++) {
-      const f = lengthResidual(a);
-      if (Math.abs(f) < 1e-4) {
-        break;
-      }
-      if (f === Number.POSITIVE_INFINITY) {
-        aLo = a;
-        fLo = f;
-      } else if (f * fLo < 0) {
-        aHi = a;
-        fHi = f;
-      } else {
-        aLo = a;
-        fLo = f;
-      }
-      a = 0.5 * (aLo + aHi);
-    }
-    const b = solveBForA(a);
-    if (b === null) {
-      return createSagBased();
-    }
-    const c = z0 - a * Math.cosh(-b / a);
-    return buildPositionsFromParams(a, b, c);
+/**
+ * Horizontal tension where a quantity that decreases with H crosses zero,
+ * solved in ln H by bracketed Newton. A root outside [lo, hi] is clamped to
+ * the nearer end and reported as not converged.
+ * @returns {{hTension: number, solver: Object}}
+ */
+function solveTensionRoot(residual, lo, hi, label) {
+  const f = (u) => residual(Math.exp(u));
+  const df = (u) => (f(u + 1e-6) - f(u - 1e-6)) / 2e-6;
+  const uLo = Math.log(lo);
+  const uHi = Math.log(hi);
+  const result = solveNewtonBracketed(f, df, uLo, uHi, { tolerance: 1e-11 });
+  if (isFinite(result.root)) {
+    return {
+      hTension: Math.exp(result.root),
+      solver: {
+        method: result.method,
+        iterations: result.iterations,
+        residual: result.residual,
+        converged: result.converged,
+        fallbackReason:
+          result.fallbackReason && `${label} ${result.fallbackReason}`,
+      },
+    };
   }
+  //residual still negative at the lowest tension: clamp low, else high
+  const u = f(uLo) < 0 ? uLo : uHi;
+  return {
+    hTension: Math.exp(u),
+    solver: {
+      method: "clamped",
+      iterations: 0,
+      residual: f(u),
+      converged: false,
+      fallbackReason: `${label} out of tension range`,
+    },
+  };
+}
 
-  function createSagBased() {
-    const lineMid = z0 + dz / 2;
-    function solveP(a) {
-      const target = dz;
-      function g(p) {
-        const u = p / a;
-        const v = (L - p) / a;
-        return a * (Math.cosh(v) - Math.cosh(u)) - target;
-      }
-      let lo = -L * 4;
-      let hi = L * 4;
-      let fLo = g(lo);
-      let fHi = g(hi);
-      let expand = 0;
-      while (fLo * fHi > 0 && expand < 20) {
-        lo *= 2;
-        hi *= 2;
-        fLo = g(lo);
-        fHi = g(hi);
-        expand++;
-      }
-      if (fLo * fHi > 0 || !isFinite(fLo) || !isFinite(fHi)) {
-        return null;
-      }
-      for (let i = 0; i < 50; i++) {
-        const midp = 0.5 * (lo + hi);
-        const f = g(midp);
-        if (Math.abs(f) < 1e-5) {
-          return midp;
-        }
-        if (f * fLo < 0) {
-          hi = midp;
-          fHi = f;
-        } else {
-          lo = midp;
-          fLo = f;
-        }
-      }
-      return 0.5 * (lo + hi);
-    }
-    function h(a) {
-      const p = solveP(a);
-      if (p === null) {
-        return Number.POSITIVE_INFINITY;
-      }
-      const uMid = (L / 2 - p) / a;
-      const u0 = -p / a;
-      const zMid = a * Math.cosh(uMid) + (z0 - a * Math.cosh(u0));
-      return lineMid - zMid - sagRatio * L;
-    }
-    let aLo = Math.max(0.1, L * 0.01);
-    let aHi = L * 100;
-    let fLo = h(aLo);
-    let fHi = h(aHi);
-    let tries = 0;
-    while (!isFinite(fLo) && tries < 5) {
-      aLo *= 0.5;
-      fLo = h(aLo);
-      tries++;
-    }
-    tries = 0;
-    while (!isFinite(fHi) && tries < 5) {
-      aHi *= 2;
-      fHi = h(aHi);
-      tries++;
-    }
-    let expand = 0;
-    while (fLo * fHi > 0 && expand < 20) {
-      if (Math.abs(fLo) < Math.abs(fHi)) {
-        aHi *= 2;
-        fHi = h(aHi);
-      } else {
-        aLo *= 0.5;
-        fLo = h(aLo);
-      }
-      expand++;
-    }
-    if (fLo * fHi > 0 || !isFinite(fLo) || !isFinite(fHi)) {
-      //last resort: simple parabola
-      const positions = [];
-      for (let i = 0; i <= numPoints; i++) {
-        const t = i / numPoints;
-        const x = t * L;
-        const yLine = z0 + dz * t;
-        const sag = sagRatio * L * (4 * t * (1 - t));
-        const z = yLine - sag;
-        const xLocal = p0.x + dirX * x;
-        const yLocal = p0.y + dirY * x;
-        const local = new Cartesian3(xLocal, yLocal, z);
-        positions.push(Matrix4.multiplyByPoint(enu, local, new Cartesian3()));
-      }
-      return positions;
-    }
-    let a = 0.5 * (aLo + aHi);
-    for (let i = 0; i < 40; i++) {
-      const f = h(a);
-      if (Math.abs(f) < 1e-4) {
-        break;
-      }
-      if (f * fLo < 0) {
-        aHi = a;
-        fHi = f;
-      } else {
-        aLo = a;
-        fLo = f;
-      }
-      a = 0.5 * (aLo + aHi);
-    }
-    const p = solveP(a);
-    if (p === null) {
-      //last resort: simple parabola again
-      const positions = [];
-      for (let i = 0; i <= numPoints; i++) {
-        const t = i / numPoints;
-        const x = t * L;
-        const yLine = z0 + dz * t;
-        const sag = sagRatio * L * (4 * t * (1 - t));
-        const z = yLine - sag;
-        const xLocal = p0.x + dirX * x;
-        const yLocal = p0.y + dirY * x;
-        const local = new Cartesian3(xLocal, yLocal, z);
-        positions.push(Matrix4.multiplyByPoint(enu, local, new Cartesian3()));
-      }
-      return positions;
-    }
-    const c = z0 - a * Math.cosh(-p / a);
-    return buildPositionsFromParams(a, p, c);
-  }
+//both length and sag decrease monotonically with H
+function solveTensionFor(target, linearWeight, span, measure, label) {
+  return solveTensionRoot(
+    (h) => measure(h) / target - 1,
+    linearWeight * span * 0.01,
+    linearWeight * span * 1e4,
+    label,
+  );
+}
+
+/**
+ * Horizontal tension that gives a level span the requested conductor length
+ * @param {number} length conductor length (m)
+ * @param {number} linearWeight unit load (N/m)
+ * @param {number} span horizontal span length (m)
+ * @returns {{hTension: number, solver: Object}} solver status as in createTransmissionLine
+ */
+export function solveTensionForLength(length, linearWeight, span) {
+  return solveTensionFor(
+    Math.max(length, span + 1e-6),
+    linearWeight,
+    span,
+    (h) => levelSpanLength(h, linearWeight, span),
+    "length",
+  );
+}
+
+/**
+ * Horizontal tension that gives a level span the requested mid-span sag
+ * @param {number} sag mid-span sag (m)
+ * @param {number} linearWeight unit load (N/m)
+ * @param {number} span horizontal span length (m)
+ * @returns {{hTension: number, solver: Object}} solver status as in createTransmissionLine
+ */
+export function solveTensionForSag(sag, linearWeight, span) {
+  return solveTensionFor(
+    Math.max(sag, 1e-6),
+    linearWeight,
+    span,
+    (h) => levelSpanSag(h, linearWeight, span),
+    "sag",
+  );
+}
+
+/**
+ * Change-of-state solver for a level (ruling) span. The conductor is a linear
+ * elastic cable whose length follows tension (H / EA) and temperature
+ * (alpha * dT); the new horizontal tension is the one whose catenary length
+ * matches the stretched conductor.
+ * @param {Object} params
+ * @param {number} params.span horizontal span length (m)
+ * @param {number} params.modulus elastic modulus (Pa)
+ * @param {number} params.area cross-section area (m²)
+ * @param {number} params.alpha thermal expansion coefficient (1/°C)
+ * @param {{hTension: number, linearWeight: number, temperature: number}} params.reference known state
+ * @param {{linearWeight: number, temperature: number}} params.target state to solve
+ * @returns {{hTension: number, sag: number, length: number, solver: Object}}
+ */
+export function solveChangeOfState(params) {
+  const { span, modulus, area, alpha, reference, target } = params;
+  const ea = modulus * area;
+
+  //unstressed length at the reference temperature
+  const refLength = levelSpanLength(
+    reference.hTension,
+    reference.linearWeight,
+    span,
+  );
+  const unstressed = refLength / (1 + reference.hTension / ea);
+  const thermal = 1 + alpha * (target.temperature - reference.temperature);
+
+  const residual = (h) =>
+    levelSpanLength(h, target.linearWeight, span) -
+    unstressed * thermal * (1 + h / ea);
+
+  //residual decreases monotonically with H, taken relative to the conductor length
+  const { hTension, solver } = solveTensionRoot(
+    (h) => residual(h) / unstressed,
+    target.linearWeight * span * 0.01,
+    Math.max(reference.hTension * 100, ea),
+    "change of state",
+  );
 
-  return createSagBased();
+  return {
+    hTension,
+    sag: levelSpanSag(hTension, target.linearWeight, span),
+    length: levelSpanLength(hTension, target.linearWeight, span),
+    solver,
+  };
 }
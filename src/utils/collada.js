@@ -0,0 +1,138 @@
+import { escapeXml } from "./kml.js";
+
+const TRIANGLES = 4;
+const COMPONENT_ARRAYS = {
+  5121: Uint8Array,
+  5123: Uint16Array,
+  5125: Uint32Array,
+  5126: Float32Array,
+};
+const COMPONENT_COUNTS = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+
+//bytes of a buffer embedded as a base64 data uri; the bundled models carry theirs inline
+function decodeBuffer(buffer) {
+  const match = /^data:[^,]*;base64,(.*)$/.exec(buffer.uri || "");
+  if (!match) {
+    throw new Error("glTF buffers must be embedded data uris");
+  }
+  return Uint8Array.from(atob(match[1]), (char) => char.charCodeAt(0));
+}
+
+//values of an accessor, `count` elements of its type laid out one after the other
+function readAccessor(gltf, buffers, index) {
+  const accessor = gltf.accessors[index];
+  const view = gltf.bufferViews[accessor.bufferView];
+  const Type = COMPONENT_ARRAYS[accessor.componentType];
+  const size = COMPONENT_COUNTS[accessor.type];
+  if (!Type || !size) {
+    throw new Error(`Unsupported glTF accessor ${index}`);
+  }
+  const bytes = buffers[view.buffer];
+  const start =
+    bytes.byteOffset + (view.byteOffset || 0) + (accessor.byteOffset || 0);
+  const stride = view.byteStride || size * Type.BYTES_PER_ELEMENT;
+  const values = [];
+  for (let i = 0; i < accessor.count; i++) {
+    //copy each element out, as strided or unaligned data cannot be viewed in place
+    const element = new Type(
+      bytes.buffer.slice(
+        start + i * stride,
+        start + i * stride + size * Type.BYTES_PER_ELEMENT,
+      ),
+    );
+    values.push(...element);
+  }
+  return values;
+}
+
+//glTF is Y-up with the tower arms along +X; the model frame of KML is Z-up with
+//x east and y north at heading 0, the same as the local frame of a tower here
+const toTowerFrame = (values) => {
+  const result = [];
+  for (let i = 0; i < values.length; i += 3) {
+    result.push(values[i + 2], values[i], values[i + 1]);
+  }
+  return result;
+};
+
+const formatNumbers = (values) =>
+  values.map((v) => Number(v.toFixed(5))).join(" ");
+
+function floatSource(id, values) {
+  return `<source id="${id}"><float_array id="${id}-array" count="${values.length}">${formatNumbers(values)}</float_array><technique_common><accessor source="#${id}-array" count="${values.length / 3}" stride="3"><param name="X" type="float"/><param name="Y" type="float"/><param name="Z" type="float"/></accessor></technique_common></source>`;
+}
+
+/**
+ * COLLADA document of a glTF tower model, for KML <Model>, which only takes
+ * COLLADA. Handles the triangle meshes with embedded buffers and plain base
+ * colors of the bundled models; node transforms and textures are not read.
+ * @param {Object} gltf parsed glTF JSON
+ * @param {string} name model name
+ * @returns {string}
+ */
+export function gltfToCollada(gltf, name) {
+  const buffers = (gltf.buffers || []).map(decodeBuffer);
+
+  const materials = (gltf.materials || []).map((material, index) => {
+    const color = material.pbrMetallicRoughness?.baseColorFactor || [
+      1, 1, 1, 1,
+    ];
+    return {
+      effect: `<effect id="material-${index}-effect"><profile_COMMON><technique sid="common"><lambert><diffuse><color>${color.join(" ")}</color></diffuse></lambert></technique></profile_COMMON></effect>`,
+      material: `<material id="material-${index}" name="${escapeXml(material.name || `material-${index}`)}"><instance_effect url="#material-${index}-effect"/></material>`,
+    };
+  });
+
+  const geometries = [];
+  const instances = [];
+  (gltf.meshes || []).forEach((mesh, m) => {
+    mesh.primitives.forEach((primitive, p) => {
+      if ((primitive.mode ?? TRIANGLES) !== TRIANGLES) {
+        return;
+      }
+      const id = `mesh-${m}-${p}`;
+      const positions = toTowerFrame(
+        readAccessor(gltf, buffers, primitive.attributes.POSITION),
+      );
+      const normals =
+        primitive.attributes.NORMAL === undefined
+          ? null
+          : toTowerFrame(
+              readAccessor(gltf, buffers, primitive.attributes.NORMAL),
+            );
+      const indices =
+        primitive.indices === undefined
+          ? Array.from({ length: positions.length / 3 }, (_, i) => i)
+          : readAccessor(gltf, buffers, primitive.indices);
+      const material =
+        primitive.material === undefined
+          ? ""
+          : ` material="material-${primitive.material}"`;
+
+      geometries.push(
+        `<geometry id="${id}"><mesh>${floatSource(`${id}-positions`, positions)}${normals ? floatSource(`${id}-normals`, normals) : ""}<vertices id="${id}-vertices"><input semantic="POSITION" source="#${id}-positions"/>${normals ? `<input semantic="NORMAL" source="#${id}-normals"/>` : ""}</vertices><triangles${material} count="${indices.length / 3}"><input semantic="VERTEX" source="#${id}-vertices" offset="0"/><p>${indices.join(" ")}</p></triangles></mesh></geometry>`,
+      );
+      const bind =
+        primitive.material === undefined
+          ? ""
+          : `<bind_material><technique_common><instance_material symbol="material-${primitive.material}" target="#material-${primitive.material}"/></technique_common></bind_material>`;
+      instances.push(
+        `<instance_geometry url="#${id}">${bind}</instance_geometry>`,
+      );
+    });
+  });
+  if (geometries.length === 0) {
+    throw new Error("glTF has no triangle meshes");
+  }
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<COLLADA xmlns="http://www.collada.org/2005/11/COLLADASchema" version="1.4.1">
+<asset><title>${escapeXml(name)}</title><unit name="meter" meter="1"/><up_axis>Z_UP</up_axis></asset>
+<library_effects>${materials.map((m) => m.effect).join("")}</library_effects>
+<library_materials>${materials.map((m) => m.material).join("")}</library_materials>
+<library_geometries>${geometries.join("")}</library_geometries>
+<library_visual_scenes><visual_scene id="scene"><node id="tower">${instances.join("")}</node></visual_scene></library_visual_scenes>
+<scene><instance_visual_scene url="#scene"/></scene>
+</COLLADA>
+`;
+}
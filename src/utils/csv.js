@@ -0,0 +1,26 @@
+//a field quoted when it holds the delimiter, a quote or a line break
+function csvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV text that spreadsheet programs open as a table. A byte order mark is
+ * put in front so units like °C survive in Excel.
+ * @param {string[]} header
+ * @param {Array<Array<string|number|null>>} rows
+ * @returns {string}
+ */
+export function toCsv(header, rows) {
+  const lines = [header, ...rows].map((row) => row.map(csvField).join(","));
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+//list of numbers typed as "-10, 0, 15" or "-10 0 15"
+export function parseNumberList(text) {
+  return String(text)
+    .split(/[\s,;]+/)
+    .filter((part) => part)
+    .map(Number)
+    .filter(Number.isFinite);
+}
@@ -0,0 +1,42 @@
+import { JulianDate } from "cesium";
+
+//interval property of a CZML packet, "start/stop" in ISO 8601
+export function czmlInterval(start, stop) {
+  return `${JulianDate.toIso8601(start)}/${JulianDate.toIso8601(stop)}`;
+}
+
+//flat [x, y, z, ...] list of positions, rounded to the centimetre to keep files small
+export function packCartesians(positions) {
+  const values = [];
+  positions.forEach((p) => {
+    values.push(
+      Math.round(p.x * 100) / 100,
+      Math.round(p.y * 100) / 100,
+      Math.round(p.z * 100) / 100,
+    );
+  });
+  return values;
+}
+
+/**
+ * Document packet with a clock that replays the exported period
+ * @param {string} name
+ * @param {JulianDate} start
+ * @param {JulianDate} stop
+ * @param {number} multiplier clock seconds per real second
+ * @returns {Object}
+ */
+export function createDocumentPacket(name, start, stop, multiplier) {
+  return {
+    id: "document",
+    name,
+    version: "1.0",
+    clock: {
+      interval: czmlInterval(start, stop),
+      currentTime: JulianDate.toIso8601(start),
+      multiplier,
+      range: "LOOP_STOP",
+      step: "SYSTEM_CLOCK_MULTIPLIER",
+    },
+  };
+}
@@ -0,0 +1,21 @@
+/**
+ * Offer content to the user as a file download
+ * @param {string} filename
+ * @param {string|Blob} content
+ * @param {string} [type] MIME type of string content
+ */
+export function downloadFile(filename, content, type = "text/plain") {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+//file name from a user given name, with the characters file systems dislike replaced
+export function safeFilename(name, extension) {
+  return `${name.replace(/[^\w-]+/g, "_") || "project"}.${extension}`;
+}
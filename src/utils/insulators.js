@@ -0,0 +1,118 @@
+import { Cartesian3, Math as CesiumMath } from "cesium";
+
+//standard 146 mm x 254 mm porcelain bell
+const BELL_SPACING = 0.146; //m
+const BELL_DIAMETER = 0.254; //m
+const BELL_WEIGHT = 50; //N
+const HARDWARE_LENGTH = 0.3; //m, clevises and suspension clamp
+const HARDWARE_WEIGHT = 100; //N
+
+//I-strings hang free and swing, V-strings are held by two legs and do not
+export const INSULATOR_TYPES = {
+  I: { name: "I-string", swings: true },
+  V: { name: "V-string", swings: false, halfAngle: 45 },
+};
+
+/**
+ * Insulator string for a system voltage, about one bell per 15 kV
+ * @param {number} voltageKv phase-to-phase voltage (kV)
+ * @param {string} [type] key of INSULATOR_TYPES
+ * @returns {{type: string, length: number, weight: number, windArea: number}} length in m, weight in N, projected area in m²
+ */
+export function defaultInsulatorString(voltageKv, type = "I") {
+  const bells = Math.max(3, Math.ceil(voltageKv / 15));
+  return createInsulatorString({
+    type,
+    length: bells * BELL_SPACING + HARDWARE_LENGTH,
+    weight: bells * BELL_WEIGHT + HARDWARE_WEIGHT,
+  });
+}
+
+/**
+ * @param {{type?: string, length?: number, weight?: number, windArea?: number}} options
+ * @returns {{type: string, length: number, weight: number, windArea: number}}
+ */
+export function createInsulatorString(options = {}) {
+  const type = INSULATOR_TYPES[options.type] ? options.type : "I";
+  const length = Math.max(0, options.length ?? 1.76);
+  return {
+    type,
+    length,
+    weight: Math.max(0, options.weight ?? 600),
+    windArea: options.windArea ?? length * BELL_DIAMETER,
+  };
+}
+
+/**
+ * Swing of a suspension string from the loads it carries: the vertical load
+ * of the weight spans and the horizontal load of the wind spans and line angle
+ * @param {number} vertical downward load (N)
+ * @param {Cartesian3} horizontal horizontal load vector (N)
+ * @returns {{angle: number, direction: (Cartesian3|null)}} angle from vertical (rad) and unit direction of the swing
+ */
+export function solveInsulatorSwing(vertical, horizontal) {
+  const magnitude = Cartesian3.magnitude(horizontal);
+  if (magnitude < 1e-9) {
+    return { angle: 0, direction: null };
+  }
+  return {
+    angle: Math.atan2(magnitude, Math.max(0, vertical)),
+    direction: Cartesian3.divideByScalar(
+      horizontal,
+      magnitude,
+      new Cartesian3(),
+    ),
+  };
+}
+
+/**
+ * Conductor end of a string and the polyline to draw it
+ * @param {Cartesian3} top attachment point on the tower
+ * @param {Object} string from createInsulatorString
+ * @param {{angle: number, direction: (Cartesian3|null)}} swing from solveInsulatorSwing, ignored by V-strings
+ * @param {Cartesian3} crossarm unit vector along the crossarm, for the legs of V-strings
+ * @returns {{end: Cartesian3, points: Cartesian3[]}}
+ */
+export function insulatorGeometry(top, string, swing, crossarm) {
+  const down = Cartesian3.negate(
+    Cartesian3.normalize(top, new Cartesian3()),
+    new Cartesian3(),
+  );
+  const along = (origin, vector, distance) =>
+    Cartesian3.add(
+      origin,
+      Cartesian3.multiplyByScalar(vector, distance, new Cartesian3()),
+      new Cartesian3(),
+    );
+
+  const type = INSULATOR_TYPES[string.type];
+  if (!type.swings) {
+    const half = CesiumMath.toRadians(type.halfAngle);
+    const end = along(top, down, string.length * Math.cos(half));
+    const reach = string.length * Math.sin(half);
+    return {
+      end,
+      points: [along(top, crossarm, reach), end, along(top, crossarm, -reach)],
+    };
+  }
+
+  let direction = Cartesian3.clone(down);
+  if (swing.direction) {
+    direction = Cartesian3.add(
+      Cartesian3.multiplyByScalar(
+        down,
+        Math.cos(swing.angle),
+        new Cartesian3(),
+      ),
+      Cartesian3.multiplyByScalar(
+        swing.direction,
+        Math.sin(swing.angle),
+        new Cartesian3(),
+      ),
+      new Cartesian3(),
+    );
+  }
+  Cartesian3.normalize(direction, direction);
+  const end = along(top, direction, string.length);
+  return { end, points: [top, end] };
+}
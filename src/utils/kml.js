@@ -0,0 +1,62 @@
+import { Cartesian3, Cartographic, Math as CesiumMath } from "cesium";
+
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * KML coordinate tuples of positions. KML altitudes are above sea level while
+ * scene heights are above the ellipsoid; geoidHeight is the difference here.
+ * @param {Cartesian3[]} positions
+ * @param {number} [geoidHeight] m
+ * @returns {string} "lon,lat,alt lon,lat,alt ..."
+ */
+export function kmlCoordinates(positions, geoidHeight = 0) {
+  return positions
+    .map((p) => {
+      const c = Cartographic.fromCartesian(p);
+      const lon = CesiumMath.toDegrees(c.longitude).toFixed(8);
+      const lat = CesiumMath.toDegrees(c.latitude).toFixed(8);
+      return `${lon},${lat},${(c.height - geoidHeight).toFixed(2)}`;
+    })
+    .join(" ");
+}
+
+//<ExtendedData> of a placemark, one <Data> per attribute
+export function kmlExtendedData(attributes) {
+  const data = Object.entries(attributes)
+    .map(
+      ([name, value]) =>
+        `<Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`,
+    )
+    .join("");
+  return `<ExtendedData>${data}</ExtendedData>`;
+}
+
+/**
+ * Closed ring around a polyline, halfWidth to each side across its direction
+ * and level with it
+ * @param {Cartesian3[]} positions
+ * @param {number} halfWidth m
+ * @returns {Cartesian3[]}
+ */
+export function corridorRing(positions, halfWidth) {
+  const left = [];
+  const right = [];
+  positions.forEach((p, i) => {
+    const prev = positions[Math.max(0, i - 1)];
+    const next = positions[Math.min(positions.length - 1, i + 1)];
+    const along = Cartesian3.subtract(next, prev, new Cartesian3());
+    const up = Cartesian3.normalize(p, new Cartesian3());
+    const across = Cartesian3.cross(along, up, new Cartesian3());
+    Cartesian3.normalize(across, across);
+    Cartesian3.multiplyByScalar(across, halfWidth, across);
+    left.push(Cartesian3.add(p, across, new Cartesian3()));
+    right.push(Cartesian3.subtract(p, across, new Cartesian3()));
+  });
+  return [...left, ...right.reverse(), left[0]];
+}
@@ -0,0 +1,236 @@
+import { Cartesian3, Cartographic } from "cesium";
+import {
+  computeRulingSpan,
+  createTransmissionLine,
+  solveChangeOfState,
+  solveTensionForLength,
+  solveTensionForSag,
+} from "./catenary.js";
+
+let nextSectionId = 1;
+
+//horizontal tension at the reference temperature, from the design mode of the line options
+function getDesignTension(options, rulingSpan, spanLengths) {
+  const { mode, hTension, linearWeight, sagRatio, lengthMeters } = options;
+
+  if (mode === "physics") {
+    return { hTension, solver: null };
+  }
+  if (mode === "length" && lengthMeters > 0 && spanLengths[0] > 0) {
+    //keep the slack ratio of the first span on the ruling span
+    const length = (rulingSpan * lengthMeters) / spanLengths[0];
+    return solveTensionForLength(length, linearWeight, rulingSpan);
+  }
+  return solveTensionForSag(
+    (sagRatio ?? 0.06) * rulingSpan,
+    linearWeight,
+    rulingSpan,
+  );
+}
+
+/**
+ * Horizontal tension of a tension section with the given spans, taken from
+ * the design state at the reference temperature to a new temperature and load
+ * @param {Object} options line options from UIManager.getLineOptions()
+ * @param {number[]} spanLengths horizontal span lengths (m)
+ * @param {number} temperature conductor temperature (°C)
+ * @param {number} [loadedWeight] resultant unit load (N/m), defaults to the bare conductor
+ * @param {number} [referenceTemperature] temperature of the design state (°C)
+ * @returns {{hTension: number, solver: (Object|null)}} solver status of the first step that did not converge, if any
+ */
+export function computeSectionTension(
+  options,
+  spanLengths,
+  temperature,
+  loadedWeight = options.linearWeight,
+  referenceTemperature = 20,
+) {
+  const rulingSpan = computeRulingSpan(spanLengths);
+  const design = getDesignTension(options, rulingSpan, spanLengths);
+  if (rulingSpan <= 0.1 || (design.solver && !design.solver.converged)) {
+    return design;
+  }
+  const { hTension, solver } = solveChangeOfState({
+    span: rulingSpan,
+    modulus: options.modulus || 70e9,
+    area: options.area || 400e-6,
+    alpha: options.alpha || 0.0000189,
+    reference: {
+      hTension: design.hTension,
+      linearWeight: options.linearWeight,
+      temperature: referenceTemperature,
+    },
+    target: { linearWeight: loadedWeight, temperature },
+  });
+  return { hTension, solver };
+}
+
+/**
+ * Conductor of a section solved from its span lengths: the section tension
+ * first, then the shape at that tension. The catenary workers run this, so the
+ * change of state is solved off the main thread with the shape.
+ * @param {Cartesian3} start
+ * @param {Cartesian3} end
+ * @param {Object} options createTransmissionLine options, with section: {options, spanLengths, temperature, loadedWeight, referenceTemperature} for computeSectionTension
+ * @param {Map} [tensions] section tensions already solved, by section input, for conductors of the same section in one batch
+ * @returns {Cartesian3[]}
+ */
+export function createSectionLine(start, end, options, tensions) {
+  const { section, ...lineOptions } = options;
+  if (!section) {
+    return createTransmissionLine(start, end, options);
+  }
+  const key = JSON.stringify(section);
+  let tension = tensions?.get(key);
+  if (!tension) {
+    tension = computeSectionTension(
+      section.options,
+      section.spanLengths,
+      section.temperature,
+      section.loadedWeight,
+      section.referenceTemperature,
+    );
+    tensions?.set(key, tension);
+  }
+  const positions = createTransmissionLine(start, end, {
+    ...lineOptions,
+    hTension: tension.hTension,
+    tensionSolver: tension.solver,
+  });
+  //a parabola fallback has no catenary constant, but its tension is still the section's
+  if (positions.metadata.hTension === undefined) {
+    positions.metadata.hTension = tension.hTension;
+  }
+  return positions;
+}
+
+/**
+ * Consecutive spans strung between two dead-ends. All spans of a section share
+ * one horizontal tension, which is set by the ruling span.
+ */
+export class LineSection {
+  /**
+   * @param {Object} options line options from UIManager.getLineOptions()
+   */
+  constructor(options) {
+    this.id = nextSectionId++;
+    this.name = `Section ${this.id}`;
+    this.voltage = null; //kV, null takes the voltage of its line
+    this.owner = "";
+    this.line = null; //TransmissionLine of the project
+    this.options = { ...options };
+    this.refTemp = 20;
+    this.spans = [];
+    this._cache = null;
+  }
+
+  get firstTower() {
+    return this.spans.length > 0 ? this.spans[0].entity1 : null;
+  }
+
+  get lastTower() {
+    return this.spans.length > 0
+      ? this.spans[this.spans.length - 1].entity2
+      : null;
+  }
+
+  //spans of one section must share a conductor, otherwise they cannot share a tension
+  accepts(options) {
+    return (
+      options.name === this.options.name &&
+      options.linearWeight === this.options.linearWeight
+    );
+  }
+
+  //new design settings restring every span of the section
+  setOptions(options) {
+    this.options = { ...options };
+    this._cache = null;
+  }
+
+  append(span) {
+    this.spans.push(span);
+    span.section = this;
+    this._cache = null;
+  }
+
+  prepend(span) {
+    this.spans.unshift(span);
+    span.section = this;
+    this._cache = null;
+  }
+
+  /**
+   * Takes a span out of the section
+   * @param {Object} span
+   * @returns {Object[]} spans that followed it, which no longer connect to the section
+   */
+  remove(span) {
+    const index = this.spans.indexOf(span);
+    if (index < 0) {
+      return [];
+    }
+    const detached = this.spans.splice(index);
+    detached.shift();
+    span.section = null;
+    this._cache = null;
+    return detached;
+  }
+
+  //horizontal distance between the tower bases of every span
+  getSpanLengths(time) {
+    return this.spans.map((span) => {
+      const p1 = span.entity1.position.getValue(time);
+      const p2 = span.entity2.position.getValue(time);
+      if (!p1 || !p2) {
+        return 0;
+      }
+      const dh =
+        Cartographic.fromCartesian(p2).height -
+        Cartographic.fromCartesian(p1).height;
+      const chord = Cartesian3.distance(p1, p2);
+      return Math.sqrt(Math.max(0, chord * chord - dh * dh));
+    });
+  }
+
+  getSpanLength(span, time) {
+    const index = this.spans.indexOf(span);
+    return index < 0 ? 0 : this.getSpanLengths(time)[index];
+  }
+
+  getRulingSpan(time) {
+    return computeRulingSpan(this.getSpanLengths(time));
+  }
+
+  /**
+   * Shared horizontal tension of the section at a conductor temperature and load
+   * @param {number} temperature conductor temperature (°C)
+   * @param {JulianDate} time
+   * @param {number} [loadedWeight] resultant unit load (N/m), defaults to the bare conductor
+   * @returns {{hTension: number, solver: (Object|null)}} see computeSectionTension
+   */
+  getTensionState(temperature, time, loadedWeight = this.options.linearWeight) {
+    const spanLengths = this.getSpanLengths(time);
+    const key = `${spanLengths.map((l) => l.toFixed(2)).join(",")}|${temperature.toFixed(2)}|${loadedWeight.toFixed(3)}`;
+    if (this._cache && this._cache.key === key) {
+      return this._cache.state;
+    }
+
+    const rulingSpan = computeRulingSpan(spanLengths);
+    const state = computeSectionTension(
+      this.options,
+      spanLengths,
+      temperature,
+      loadedWeight,
+      this.refTemp,
+    );
+
+    this._cache = { key, state, rulingSpan };
+    return state;
+  }
+
+  //horizontal tension alone, see getTensionState
+  getHorizontalTension(temperature, time, loadedWeight) {
+    return this.getTensionState(temperature, time, loadedWeight).hTension;
+  }
+}
@@ -0,0 +1,96 @@
+//NESC Rule 250B district loading cases, converted to SI
+//ice thickness in m, ice density in kg/m³, wind pressure in Pa, constant k in N/m, temperature in °C
+export const LOAD_CASES = {
+  bare: {
+    name: "Bare (weather)",
+    iceThickness: 0,
+    iceDensity: 913,
+    windPressure: 0,
+    constant: 0,
+    temperature: null, //follow the weather and load heating
+  },
+  light: {
+    name: "NESC Light",
+    iceThickness: 0,
+    iceDensity: 913,
+    windPressure: 430.9, //9 lb/ft²
+    constant: 0.73, //0.05 lb/ft
+    temperature: -1.1, //30 °F
+  },
+  medium: {
+    name: "NESC Medium",
+    iceThickness: 0.00635, //1/4 in
+    iceDensity: 913,
+    windPressure: 191.5, //4 lb/ft²
+    constant: 2.92, //0.2 lb/ft
+    temperature: -9.4, //15 °F
+  },
+  heavy: {
+    name: "NESC Heavy",
+    iceThickness: 0.0127, //1/2 in
+    iceDensity: 913,
+    windPressure: 191.5, //4 lb/ft²
+    constant: 4.38, //0.3 lb/ft
+    temperature: -17.8, //0 °F
+  },
+};
+
+const GRAVITY = 9.80665;
+const AIR_DENSITY = 1.225; //kg/m³
+
+/**
+ * Dynamic wind pressure q = 1/2 rho V²
+ * @param {number} windSpeed (m/s)
+ * @returns {number} pressure (Pa)
+ */
+export function windPressureFromSpeed(windSpeed) {
+  return 0.5 * AIR_DENSITY * windSpeed * windSpeed;
+}
+
+/**
+ * Resultant unit load of a conductor under a load case. The wind is assumed
+ * transverse to the span, as the NESC cases do.
+ * @param {{linearWeight: number, diameter: number}} conductor bare weight (N/m) and diameter (m)
+ * @param {Object} loadCase entry of LOAD_CASES
+ * @param {number} [windSpeed] wind speed (m/s) for cases without a wind pressure of their own
+ * @returns {{vertical: number, transverse: number, resultant: number, windPressure: number, diameter: number}} loads in N/m, pressure in Pa, iced diameter in m
+ */
+export function computeUnitLoad(conductor, loadCase, windSpeed = 0) {
+  const weight = conductor.linearWeight;
+  const bareDiameter = conductor.diameter || 0;
+  const t = loadCase?.iceThickness || 0;
+
+  //weight of a radial ice shell around the conductor
+  const iceArea = Math.PI * t * (bareDiameter + t);
+  const iceWeight = (loadCase?.iceDensity || 0) * GRAVITY * iceArea;
+
+  const diameter = bareDiameter + 2 * t;
+  const windPressure =
+    loadCase?.windPressure || windPressureFromSpeed(windSpeed);
+
+  const vertical = weight + iceWeight;
+  const transverse = windPressure * diameter;
+  const resultant =
+    Math.hypot(vertical, transverse) + (loadCase?.constant || 0);
+
+  return { vertical, transverse, resultant, windPressure, diameter };
+}
+
+/**
+ * Unit load of a bundle of identical sub-conductors. Weight and wind area are
+ * summed over the sub-conductors, without shielding between them.
+ * @param {{linearWeight: number, diameter: number}} conductor one sub-conductor
+ * @param {number} count number of sub-conductors
+ * @param {Object} loadCase entry of LOAD_CASES
+ * @param {number} [windSpeed] wind speed (m/s)
+ * @returns {{vertical: number, transverse: number, resultant: number, windPressure: number, diameter: number}} as computeUnitLoad, for the whole bundle
+ */
+export function computeBundleLoad(conductor, count, loadCase, windSpeed = 0) {
+  const load = computeUnitLoad(conductor, loadCase, windSpeed);
+  return {
+    ...load,
+    vertical: load.vertical * count,
+    transverse: load.transverse * count,
+    resultant: load.resultant * count,
+  };
+}
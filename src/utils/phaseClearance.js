@@ -0,0 +1,244 @@
+import { Cartesian3 } from "cesium";
+
+//single-loop galloping ellipse proportioned after the Davison method:
+//major axis vertical and proportional to sag, its lower end a quarter of the major axis below the conductor
+const GALLOP_MAJOR_PER_SAG = 1.25;
+const GALLOP_MINOR_PER_MAJOR = 0.4;
+const GALLOP_BELOW_REST = 0.25;
+
+/**
+ * Minimum phase-to-phase clearance for a system voltage: 0.3 m plus 10 mm per kV
+ * above 8.7 kV (NESC 235B style)
+ * @param {number} voltageKv phase-to-phase voltage (kV)
+ * @returns {number} meters
+ */
+export function requiredPhaseClearance(voltageKv) {
+  return 0.3 + 0.01 * Math.max(0, voltageKv - 8.7);
+}
+
+/**
+ * Air gap to keep between galloping ellipses, as a share of the static phase
+ * clearance. No standard fixes this share, so it is a setting of the project.
+ * @param {number} voltageKv phase-to-phase voltage (kV)
+ * @param {number} [fraction] share of the static phase clearance, 0.25 when not given
+ * @returns {number} meters
+ */
+export function requiredGallopingClearance(voltageKv, fraction = 0.25) {
+  return fraction * requiredPhaseClearance(voltageKv);
+}
+
+/**
+ * Closest points between segments p1-q1 and p2-q2
+ * @returns {{distance: number, pointA: Cartesian3, pointB: Cartesian3}}
+ */
+export function closestPointsOnSegments(p1, q1, p2, q2) {
+  const d1 = Cartesian3.subtract(q1, p1, new Cartesian3());
+  const d2 = Cartesian3.subtract(q2, p2, new Cartesian3());
+  const r = Cartesian3.subtract(p1, p2, new Cartesian3());
+  const a = Cartesian3.dot(d1, d1);
+  const e = Cartesian3.dot(d2, d2);
+  const f = Cartesian3.dot(d2, r);
+
+  let s = 0;
+  let t = 0;
+  if (a <= 1e-12 && e <= 1e-12) {
+    s = 0;
+    t = 0;
+  } else if (a <= 1e-12) {
+    t = Math.min(1, Math.max(0, f / e));
+  } else {
+    const c = Cartesian3.dot(d1, r);
+    if (e <= 1e-12) {
+      s = Math.min(1, Math.max(0, -c / a));
+    } else {
+      const b = Cartesian3.dot(d1, d2);
+      const denom = a * e - b * b;
+      s = denom > 1e-12 ? Math.min(1, Math.max(0, (b * f - c * e) / denom)) : 0;
+      t = (b * s + f) / e;
+      if (t < 0) {
+        t = 0;
+        s = Math.min(1, Math.max(0, -c / a));
+      } else if (t > 1) {
+        t = 1;
+        s = Math.min(1, Math.max(0, (b - c) / a));
+      }
+    }
+  }
+
+  const pointA = Cartesian3.add(
+    p1,
+    Cartesian3.multiplyByScalar(d1, s, new Cartesian3()),
+    new Cartesian3(),
+  );
+  const pointB = Cartesian3.add(
+    p2,
+    Cartesian3.multiplyByScalar(d2, t, new Cartesian3()),
+    new Cartesian3(),
+  );
+  return { distance: Cartesian3.distance(pointA, pointB), pointA, pointB };
+}
+
+/**
+ * Minimum 3D distance between two conductors drawn as polylines. The closest
+ * pair of vertices is found first, then the segments around it are refined.
+ * @param {Cartesian3[]} a
+ * @param {Cartesian3[]} b
+ * @returns {{distance: number, pointA: Cartesian3, pointB: Cartesian3, indexA: number, indexB: number}}
+ */
+export function minPolylineDistance(a, b) {
+  let bestI = 0;
+  let bestJ = 0;
+  let bestSquared = Number.POSITIVE_INFINITY;
+  for (let i = 0; i < a.length; i++) {
+    for (let j = 0; j < b.length; j++) {
+      const squared = Cartesian3.distanceSquared(a[i], b[j]);
+      if (squared < bestSquared) {
+        bestSquared = squared;
+        bestI = i;
+        bestJ = j;
+      }
+    }
+  }
+
+  const refine = 3;
+  let best = null;
+  for (
+    let i = Math.max(0, bestI - refine);
+    i < Math.min(a.length - 1, bestI + refine);
+    i++
+  ) {
+    for (
+      let j = Math.max(0, bestJ - refine);
+      j < Math.min(b.length - 1, bestJ + refine);
+      j++
+    ) {
+      const result = closestPointsOnSegments(a[i], a[i + 1], b[j], b[j + 1]);
+      if (!best || result.distance < best.distance) {
+        best = { ...result, indexA: i, indexB: j };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Galloping ellipse of a conductor point, in its local (transverse, up) plane
+ * @param {number} sag local sag below the chord (m)
+ * @returns {{major: number, minor: number, centerOffset: number}} axes and height of the center above the rest position (m)
+ */
+export function gallopingEllipse(sag) {
+  const major = GALLOP_MAJOR_PER_SAG * Math.max(0, sag);
+  return {
+    major,
+    minor: GALLOP_MINOR_PER_MAJOR * major,
+    centerOffset: (0.5 - GALLOP_BELOW_REST) * major,
+  };
+}
+
+//unit up and transverse vectors at a conductor point, given the span direction
+function localAxes(position, spanDirection) {
+  const up = Cartesian3.normalize(position, new Cartesian3());
+  const transverse = Cartesian3.normalize(
+    Cartesian3.cross(up, spanDirection, new Cartesian3()),
+    new Cartesian3(),
+  );
+  return { up, transverse };
+}
+
+/**
+ * Points outlining a galloping ellipse, for display
+ * @param {Cartesian3} position conductor rest position
+ * @param {Cartesian3} spanDirection unit vector along the span
+ * @param {number} sag local sag (m)
+ * @param {number} [steps]
+ * @returns {Cartesian3[]}
+ */
+export function gallopingEllipsePositions(
+  position,
+  spanDirection,
+  sag,
+  steps = 36,
+) {
+  const { major, minor, centerOffset } = gallopingEllipse(sag);
+  const { up, transverse } = localAxes(position, spanDirection);
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const angle = (i / steps) * Math.PI * 2;
+    const v = centerOffset + (major / 2) * Math.sin(angle);
+    const h = (minor / 2) * Math.cos(angle);
+    const offset = Cartesian3.add(
+      Cartesian3.multiplyByScalar(up, v, new Cartesian3()),
+      Cartesian3.multiplyByScalar(transverse, h, new Cartesian3()),
+      new Cartesian3(),
+    );
+    points.push(Cartesian3.add(position, offset, new Cartesian3()));
+  }
+  return points;
+}
+
+/**
+ * Lower bound of the gap between the galloping ellipses of two conductors,
+ * sampled at matching stations along the span: center distance minus the
+ * reach of each ellipse toward the other.
+ * @param {Cartesian3[]} a positions of the first conductor
+ * @param {number[]} sagsA local sags of the first conductor
+ * @param {Cartesian3[]} b positions of the second conductor (same sample count)
+ * @param {number[]} sagsB local sags of the second conductor
+ * @returns {{distance: number, index: number}}
+ */
+export function minGallopingDistance(a, sagsA, b, sagsB) {
+  const count = Math.min(a.length, b.length, sagsA.length, sagsB.length);
+  const spanDirection = Cartesian3.normalize(
+    Cartesian3.subtract(a[a.length - 1], a[0], new Cartesian3()),
+    new Cartesian3(),
+  );
+
+  let best = { distance: Number.POSITIVE_INFINITY, index: 0 };
+  for (let i = 1; i < count - 1; i++) {
+    const axes = localAxes(a[i], spanDirection);
+    const ellipseA = gallopingEllipse(sagsA[i]);
+    const ellipseB = gallopingEllipse(sagsB[i]);
+
+    const centerA = Cartesian3.add(
+      a[i],
+      Cartesian3.multiplyByScalar(
+        axes.up,
+        ellipseA.centerOffset,
+        new Cartesian3(),
+      ),
+      new Cartesian3(),
+    );
+    const centerB = Cartesian3.add(
+      b[i],
+      Cartesian3.multiplyByScalar(
+        axes.up,
+        ellipseB.centerOffset,
+        new Cartesian3(),
+      ),
+      new Cartesian3(),
+    );
+
+    const between = Cartesian3.subtract(centerB, centerA, new Cartesian3());
+    const centerDistance = Cartesian3.magnitude(between);
+    if (centerDistance < 1e-9) {
+      return { distance: 0, index: i };
+    }
+    const u = Cartesian3.divideByScalar(
+      between,
+      centerDistance,
+      new Cartesian3(),
+    );
+    const uUp = Cartesian3.dot(u, axes.up);
+    const uTransverse = Cartesian3.dot(u, axes.transverse);
+
+    //support function of an ellipse with semi-axes (minor/2, major/2)
+    const reach = (ellipse) =>
+      Math.hypot((ellipse.major / 2) * uUp, (ellipse.minor / 2) * uTransverse);
+
+    const distance = centerDistance - reach(ellipseA) - reach(ellipseB);
+    if (distance < best.distance) {
+      best = { distance, index: i };
+    }
+  }
+  return best;
+}
@@ -0,0 +1,127 @@
+let nextLineId = 1;
+
+/**
+ * Conductors of a line strung to the attachment points of one circuit number.
+ * A voltage or owner left empty is taken from the line.
+ */
+export class Circuit {
+  /**
+   * @param {number} number circuit number of the attachment points
+   * @param {{name?: string, voltage?: number, owner?: string}} [attributes]
+   */
+  constructor(number, attributes = {}) {
+    this.number = number;
+    this.name = attributes.name || `Circuit ${number}`;
+    this.voltage = attributes.voltage ?? null; //kV
+    this.owner = attributes.owner ?? "";
+  }
+}
+
+/**
+ * A transmission line: the tension sections strung along it and the circuits
+ * they carry. A voltage or owner left empty is taken from the project.
+ */
+export class TransmissionLine {
+  /**
+   * @param {{name?: string, voltage?: number, owner?: string}} [attributes]
+   */
+  constructor(attributes = {}) {
+    this.id = nextLineId++;
+    this.name = attributes.name || `Line ${this.id}`;
+    this.voltage = attributes.voltage ?? null; //kV
+    this.owner = attributes.owner ?? "";
+    this.sections = [];
+    this.circuits = [];
+  }
+
+  get spans() {
+    return this.sections.flatMap((section) => section.spans);
+  }
+
+  //circuits are created the first time a conductor of their number shows up
+  getCircuit(number) {
+    let circuit = this.circuits.find((c) => c.number === number);
+    if (!circuit) {
+      circuit = new Circuit(number);
+      this.circuits.push(circuit);
+      this.circuits.sort((a, b) => a.number - b.number);
+    }
+    return circuit;
+  }
+}
+
+/**
+ * Project data model: lines hold sections and circuits, sections hold spans.
+ * Sections come and go with the spans of the scene and are kept in the line
+ * they were assigned to.
+ */
+export class Project {
+  constructor(name = "Untitled Project") {
+    this.name = name;
+    this.voltage = null; //kV
+    this.owner = "";
+    this.lines = [];
+  }
+
+  addLine(attributes) {
+    const line = new TransmissionLine(attributes);
+    this.lines.push(line);
+    return line;
+  }
+
+  removeLine(line) {
+    const index = this.lines.indexOf(line);
+    if (index >= 0) {
+      this.lines.splice(index, 1);
+      line.sections.forEach((section) => {
+        section.line = null;
+      });
+    }
+  }
+
+  /**
+   * Bring the lines up to date with the sections of the scene. Sections that
+   * are gone are dropped; a new section joins the line of a section it shares
+   * a tower with, else the first line.
+   * @param {LineSection[]} sections
+   */
+  sync(sections) {
+    const assigned = sections.filter((section) =>
+      this.lines.includes(section.line),
+    );
+    const touches = (a, b) =>
+      a.spans.some((s) =>
+        b.spans.some(
+          (t) =>
+            s.entity1 === t.entity1 ||
+            s.entity1 === t.entity2 ||
+            s.entity2 === t.entity1 ||
+            s.entity2 === t.entity2,
+        ),
+      );
+
+    sections.forEach((section) => {
+      if (assigned.includes(section)) {
+        return;
+      }
+      const neighbour = assigned.find((other) => touches(section, other));
+      section.line = neighbour?.line || this.lines[0] || this.addLine();
+      assigned.push(section);
+    });
+
+    this.lines.forEach((line) => {
+      line.sections = sections.filter((section) => section.line === line);
+    });
+  }
+
+  //voltage and owner of an item, or of the nearest item above it that has one
+  getVoltage(...items) {
+    const item = [...items, this].find((i) => i && Number.isFinite(i.voltage));
+    return item ? item.voltage : null;
+  }
+
+  getOwner(...items) {
+    const item = [...items, this].find((i) => i && i.owner);
+    return item ? item.owner : "";
+  }
+}
@@ -0,0 +1,144 @@
+/*
+ * Project file, version 1:
+ * {
+ *   format: "catenary-project", version: 1, savedAt: ISO date,
+ *   camera: {position: [x, y, z] (ECEF m), heading, pitch, roll (rad)},
+ *   settings: {[input id]: value} panel inputs,
+ *   towerTypes: {[type id]: {name, structureClass, attachments}},
+ *   towers: [{longitude, latitude (deg), height (m), heading (deg), autoHeading, type,
+ *     surveyId, structureHeight (m), both optional, from a survey import}],
+ *   spans: [{from, to (tower indices), options (line options), phaseMap, bundle}],
+ *   project: {name, voltage, owner, lines: [{name, voltage, owner,
+ *     circuits: [{number, name, voltage, owner}],
+ *     sections: [{name, voltage, owner, spans: [span indices]}]}],
+ *     spans: [{name, voltage, owner}] in the order of the spans above}
+ * }
+ */
+export const PROJECT_FILE_FORMAT = "catenary-project";
+export const PROJECT_FILE_VERSION = 1;
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+
+//attachment points of a saved tower type: {x, y, z} in meters, an id to pair them by
+function validateAttachments(attachments, where) {
+  if (!Array.isArray(attachments)) {
+    throw new Error(`${where} has no attachment list`);
+  }
+  attachments.forEach((point, index) => {
+    if (
+      !isObject(point) ||
+      typeof point.id !== "string" ||
+      !["x", "y", "z"].every((axis) => isNumber(point[axis]))
+    ) {
+      throw new Error(`${where} has an invalid attachment point ${index + 1}`);
+    }
+  });
+}
+
+/**
+ * Check every tower and span of a project file of the current version, so a
+ * broken file is rejected before the scene is touched
+ * @param {Object} data
+ */
+function validateProjectFile(data) {
+  if (!Array.isArray(data.towers) || !Array.isArray(data.spans)) {
+    throw new Error("Project file has no towers or spans");
+  }
+  if (data.towerTypes !== undefined && !isObject(data.towerTypes)) {
+    throw new Error("Project file has invalid tower types");
+  }
+  Object.entries(data.towerTypes || {}).forEach(([id, type]) => {
+    const where = `Tower type "${id}"`;
+    if (!isObject(type)) {
+      throw new Error(`${where} is not valid`);
+    }
+    if (type.attachments !== undefined) {
+      validateAttachments(type.attachments, where);
+    }
+  });
+  data.towers.forEach((tower, index) => {
+    const where = `Tower ${index + 1}`;
+    if (!isNumber(tower?.longitude) || Math.abs(tower.longitude) > 180) {
+      throw new Error(`${where} has no valid longitude`);
+    }
+    if (!isNumber(tower.latitude) || Math.abs(tower.latitude) > 90) {
+      throw new Error(`${where} has no valid latitude`);
+    }
+    if (!isNumber(tower.height)) {
+      throw new Error(`${where} has no valid height`);
+    }
+    if (tower.heading !== undefined && !isNumber(tower.heading)) {
+      throw new Error(`${where} has no valid heading`);
+    }
+    if (
+      tower.structureHeight !== undefined &&
+      !isNumber(tower.structureHeight)
+    ) {
+      throw new Error(`${where} has no valid structure height`);
+    }
+  });
+  const count = data.towers.length;
+  data.spans.forEach((span, index) => {
+    const valid = (i) => Number.isInteger(i) && i >= 0 && i < count;
+    if (!valid(span?.from) || !valid(span.to) || span.from === span.to) {
+      throw new Error(
+        `Span ${index + 1} refers to towers that are not in the file`,
+      );
+    }
+    if (!isObject(span.options)) {
+      throw new Error(`Span ${index + 1} has no line options`);
+    }
+    //a phase map pairs attachment ids of the first and second tower
+    if (
+      span.phaseMap !== undefined &&
+      span.phaseMap !== null &&
+      !(
+        Array.isArray(span.phaseMap) &&
+        span.phaseMap.every(
+          (pair) =>
+            Array.isArray(pair) &&
+            pair.length === 2 &&
+            pair.every((id) => typeof id === "string"),
+        )
+      )
+    ) {
+      throw new Error(`Span ${index + 1} has an invalid phase map`);
+    }
+    if (
+      span.bundle !== undefined &&
+      !(
+        isObject(span.bundle) &&
+        ["count", "spacing", "orientation", "spacerInterval"].every(
+          (key) => span.bundle[key] === undefined || isNumber(span.bundle[key]),
+        )
+      )
+    ) {
+      throw new Error(`Span ${index + 1} has an invalid bundle`);
+    }
+  });
+}
+
+/**
+ * Check a parsed project file before anything of it is used
+ * @param {Object} data parsed JSON
+ * @returns {Object} project file of PROJECT_FILE_VERSION
+ */
+export function checkProjectFile(data) {
+  if (!data || data.format !== PROJECT_FILE_FORMAT) {
+    throw new Error("Not a project file");
+  }
+  if (data.version === undefined) {
+    throw new Error("Project file has no version");
+  }
+  if (data.version !== PROJECT_FILE_VERSION) {
+    throw new Error(
+      Number.isInteger(data.version) && data.version > PROJECT_FILE_VERSION
+        ? `Project file version ${data.version} is newer than this app supports (${PROJECT_FILE_VERSION})`
+        : `Unknown project file version "${data.version}"`,
+    );
+  }
+  validateProjectFile(data);
+  return data;
+}
@@ -0,0 +1,127 @@
+import { Cartographic, EllipsoidGeodesic } from "cesium";
+
+const PROFILE_STEP = 10; //m between ground samples under a candidate span
+const SPAN_STEP = 0.05; //fraction of the maximum span given up on each retry
+
+/**
+ * Lowest clearance of a parabolic conductor over a ground profile
+ * @param {number} startHeight conductor height at the first support (m)
+ * @param {number} endHeight conductor height at the second support (m)
+ * @param {number} span horizontal span (m)
+ * @param {number} sag midspan sag (m)
+ * @param {{distance: number, height: number}[]} profile ground heights along the span
+ * @returns {{clearance: number, distance: number}} clearance (m) and where it occurs (m from the first support)
+ */
+export function minConductorClearance(
+  startHeight,
+  endHeight,
+  span,
+  sag,
+  profile,
+) {
+  let best = { clearance: Number.POSITIVE_INFINITY, distance: 0 };
+  profile.forEach(({ distance, height }) => {
+    const x = Math.min(span, Math.max(0, distance));
+    const chord = startHeight + ((endHeight - startHeight) * x) / span;
+    const conductor = chord - (4 * sag * x * (span - x)) / (span * span);
+    if (conductor - height < best.clearance) {
+      best = { clearance: conductor - height, distance: x };
+    }
+  });
+  return best;
+}
+
+//ground profile of one candidate span and the clearance of the conductor over it
+async function checkSpan(geodesic, start, span, startBase, options) {
+  const count = Math.max(2, Math.ceil(span / PROFILE_STEP));
+  const points = [];
+  for (let k = 0; k <= count; k++) {
+    points.push(
+      geodesic.interpolateUsingSurfaceDistance(
+        start + (span * k) / count,
+        new Cartographic(),
+      ),
+    );
+  }
+  const heights = await options.sampleHeights(points);
+  const [endBase] = await options.sampleGround([points[count]]);
+
+  const { clearance } = minConductorClearance(
+    startBase + options.attachmentHeight,
+    endBase + options.attachmentHeight,
+    span,
+    options.sagForSpan(span),
+    heights.map((height, k) => ({ distance: (span * k) / count, height })),
+  );
+
+  const end = points[count];
+  return {
+    clearance,
+    tower: new Cartographic(end.longitude, end.latitude, endBase),
+  };
+}
+
+/**
+ * Spots towers along a route. A tower stands on every route vertex; along
+ * each leg between them the longest span up to the maximum that keeps the
+ * conductor above the required clearance is taken, and a short leftover at
+ * the end of a leg is shared with the span before it.
+ * @param {Cartographic[]} vertices route vertices
+ * @param {Object} options
+ * @param {number} options.maxSpan longest span allowed (m)
+ * @param {number} options.minSpan shortest span to shrink to while looking for clearance (m)
+ * @param {number} options.clearance required ground clearance (m)
+ * @param {number} options.attachmentHeight conductor height above the tower base (m)
+ * @param {function(number): number} options.sagForSpan sag at the clearance condition for a span length (m)
+ * @param {function(Cartographic[]): Promise<number[]>} options.sampleHeights surface height under each point (m)
+ * @param {function(Cartographic[]): Promise<number[]>} options.sampleGround ground height under each tower base (m)
+ * @returns {Promise<{towers: Cartographic[], spans: {length: number, clearance: number}[]}>} tower bases and the clearance of each span
+ */
+export async function spotTowers(vertices, options) {
+  const { maxSpan, minSpan } = options;
+  const towers = [];
+  const spans = [];
+  if (vertices.length < 2) {
+    return { towers, spans };
+  }
+
+  const [firstBase] = await options.sampleGround([vertices[0]]);
+  towers.push(
+    new Cartographic(vertices[0].longitude, vertices[0].latitude, firstBase),
+  );
+
+  for (let i = 0; i < vertices.length - 1; i++) {
+    const geodesic = new EllipsoidGeodesic(vertices[i], vertices[i + 1]);
+    const legLength = geodesic.surfaceDistance;
+    let current = 0;
+
+    while (legLength - current > 1) {
+      const remaining = legLength - current;
+      const shortest = Math.min(minSpan, remaining);
+      let span = Math.min(maxSpan, remaining);
+      if (remaining > span && remaining - span < minSpan) {
+        span = remaining / 2;
+      }
+
+      let result = null;
+      for (;;) {
+        result = await checkSpan(
+          geodesic,
+          current,
+          span,
+          towers[towers.length - 1].height,
+          options,
+        );
+        if (result.clearance >= options.clearance || span <= shortest) {
+          break;
+        }
+        span = Math.max(shortest, span - SPAN_STEP * maxSpan);
+      }
+
+      towers.push(result.tower);
+      spans.push({ length: span, clearance: result.clearance });
+      current += span;
+    }
+  }
+  return { towers, spans };
+}
@@ -0,0 +1,177 @@
+import { createTransmissionLine } from "./catenary.js";
+import { escapeXml } from "./kml.js";
+
+const GRAVITY = 9.80665;
+export const STOPWATCH_RETURNS = [3, 5];
+
+/**
+ * Stopwatch time for a sag check: a pulse struck at the support travels to
+ * the far support and back n times in n * sqrt(32 * sag / g), independent of
+ * conductor and tension
+ * @param {number} sag mid-span sag (m)
+ * @param {number} returns number of wave returns counted
+ * @returns {number} seconds
+ */
+export function waveReturnTime(sag, returns) {
+  return returns * Math.sqrt((32 * Math.max(0, sag)) / GRAVITY);
+}
+
+//temperatures from..to in steps, the end included
+export function temperatureRange(from, to, step) {
+  const temperatures = [];
+  const count = Math.floor((to - from) / step + 1e-9);
+  for (let i = 0; i <= count && i < 200; i++) {
+    temperatures.push(Math.round((from + i * step) * 100) / 100);
+  }
+  return temperatures;
+}
+
+/**
+ * Stringing chart of a tension section: the horizontal tension of the bare
+ * conductor in still air at each installation temperature, and the sag and
+ * stopwatch times of every span at that tension
+ * @param {Object} options line options of the section
+ * @param {Array<{label: string, start: Cartesian3, end: Cartesian3, length: number}>} spans
+ * @param {number[]} temperatures °C
+ * @param {function(number): number} tensionAt horizontal tension (N) at a temperature
+ * @returns {{temperatures: Object[], spans: Object[]}}
+ */
+export function computeStringingChart(options, spans, temperatures, tensionAt) {
+  const rows = temperatures.map((temperature) => {
+    const hTension = tensionAt(temperature);
+    return {
+      temperature,
+      hTension,
+      rtsPercent: options.rts ? (hTension / options.rts) * 100 : null,
+    };
+  });
+
+  return {
+    temperatures: rows,
+    spans: spans.map((span) => ({
+      label: span.label,
+      length: span.length,
+      sags: rows.map(({ hTension }) => {
+        const positions = createTransmissionLine(span.start, span.end, {
+          ...options,
+          mode: "physics",
+          hTension,
+          numPoints: 48,
+        });
+        const sag = positions.metadata?.sag || 0;
+        return {
+          sag,
+          times: STOPWATCH_RETURNS.map((n) => waveReturnTime(sag, n)),
+        };
+      }),
+    })),
+  };
+}
+
+//rows of the chart for CSV, one per span and temperature
+export function stringingChartRows(chart) {
+  const header = [
+    "Span",
+    "Span Length (m)",
+    "Temperature (°C)",
+    "Horizontal Tension (N)",
+    "RTS (%)",
+    "Sag (m)",
+    ...STOPWATCH_RETURNS.map((n) => `Return ${n} (s)`),
+  ];
+  const rows = [];
+  chart.spans.forEach((span) => {
+    span.sags.forEach(({ sag, times }, i) => {
+      const { temperature, hTension, rtsPercent } = chart.temperatures[i];
+      rows.push([
+        span.label,
+        span.length.toFixed(2),
+        temperature,
+        Math.round(hTension),
+        rtsPercent === null ? "" : rtsPercent.toFixed(1),
+        sag.toFixed(2),
+        ...times.map((t) => t.toFixed(1)),
+      ]);
+    });
+  });
+  return { header, rows };
+}
+
+//sag over temperature of every span, as an inline svg
+function sagPlot(chart) {
+  const width = 640;
+  const height = 260;
+  const pad = 40;
+  const temps = chart.temperatures.map((row) => row.temperature);
+  const sags = chart.spans.flatMap((span) => span.sags.map((s) => s.sag));
+  const minT = Math.min(...temps);
+  const maxT = Math.max(...temps);
+  const maxSag = Math.max(...sags, 0.01);
+  const x = (t) => pad + ((t - minT) / (maxT - minT || 1)) * (width - 2 * pad);
+  const y = (sag) => pad + (sag / maxSag) * (height - 2 * pad);
+
+  const lines = chart.spans.map((span, i) => {
+    const points = span.sags
+      .map((s, k) => `${x(temps[k]).toFixed(1)},${y(s.sag).toFixed(1)}`)
+      .join(" ");
+    const hue = (i * 67) % 360;
+    return `<polyline points="${points}" fill="none" stroke="hsl(${hue},70%,40%)" stroke-width="1.5"><title>${escapeXml(span.label)}</title></polyline>`;
+  });
+
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<rect x="${pad}" y="${pad}" width="${width - 2 * pad}" height="${height - 2 * pad}" fill="none" stroke="#999"/>
+<text x="${pad}" y="${pad - 8}" font-size="11">Sag (m), 0 at the top to ${maxSag.toFixed(2)}</text>
+<text x="${pad}" y="${height - pad + 16}" font-size="11">${minT} °C</text>
+<text x="${width - pad}" y="${height - pad + 16}" font-size="11" text-anchor="end">${maxT} °C</text>
+${lines.join("\n")}
+</svg>`;
+}
+
+/**
+ * Printable HTML page of a stringing chart
+ * @param {Object} chart from computeStringingChart
+ * @param {{title: string, conductor: string, rulingSpan: number, referenceTemperature: number}} info
+ * @returns {string}
+ */
+export function renderStringingChart(chart, info) {
+  const returns = STOPWATCH_RETURNS.map((n) => `<th>Return ${n} (s)</th>`);
+  const tables = chart.spans.map((span) => {
+    const rows = span.sags.map(({ sag, times }, i) => {
+      const { temperature, hTension, rtsPercent } = chart.temperatures[i];
+      const rts = rtsPercent === null ? "" : rtsPercent.toFixed(1);
+      const cells = times.map((t) => `<td>${t.toFixed(1)}</td>`).join("");
+      return `<tr><td>${temperature}</td><td>${Math.round(hTension)}</td><td>${rts}</td><td>${sag.toFixed(2)}</td>${cells}</tr>`;
+    });
+    return `<section>
+<h2>${escapeXml(span.label)} · ${span.length.toFixed(1)} m</h2>
+<table>
+<tr><th>Temperature (°C)</th><th>Tension (N)</th><th>RTS (%)</th><th>Sag (m)</th>${returns.join("")}</tr>
+${rows.join("\n")}
+</table>
+</section>`;
+  });
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>${escapeXml(info.title)}</title>
+<style>
+body { font-family: sans-serif; font-size: 12px; margin: 24px; }
+h1 { font-size: 18px; }
+h2 { font-size: 14px; margin: 16px 0 4px; }
+table { border-collapse: collapse; }
+th, td { border: 1px solid #999; padding: 2px 8px; text-align: right; }
+section { break-inside: avoid; }
+</style>
+</head>
+<body>
+<h1>${escapeXml(info.title)}</h1>
+<p>${escapeXml(info.conductor)} · ruling span ${info.rulingSpan.toFixed(1)} m · bare conductor in still air, from the design tension at ${info.referenceTemperature} °C.
+Stopwatch: time the given number of wave returns after striking the conductor at a support.</p>
+${sagPlot(chart)}
+${tables.join("\n")}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,192 @@
+//header names accepted for each column, compared in lower case without spaces or underscores
+const COLUMNS = {
+  id: ["id", "name", "tower", "towerid", "number"],
+  latitude: ["lat", "latitude"],
+  longitude: ["lon", "lng", "long", "longitude"],
+  elevation: ["elevation", "groundelevation", "ground", "elev", "z"],
+  height: ["height", "structureheight", "towerheight"],
+  heading: ["heading", "bearing", "azimuth"],
+  type: ["type", "towertype"],
+};
+
+function parseNumber(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const number = typeof value === "number" ? value : parseFloat(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+//one line of delimited text, with "quoted" fields that may hold the delimiter
+function splitRow(line, delimiter) {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+}
+
+/**
+ * Check one surveyed tower; numbers come in as read from the file
+ * @returns {{tower: Object|null, error: string|null}}
+ */
+function validateTower(raw, where, knownTypes) {
+  const tower = {
+    id: raw.id === undefined || raw.id === null ? "" : String(raw.id).trim(),
+    latitude: parseNumber(raw.latitude),
+    longitude: parseNumber(raw.longitude),
+    elevation: parseNumber(raw.elevation),
+    height: parseNumber(raw.height),
+    heading: parseNumber(raw.heading),
+    type: raw.type ? String(raw.type).trim() : null,
+  };
+  const fail = (message) => ({ tower: null, error: `${where}: ${message}` });
+
+  if (!Number.isFinite(tower.latitude) || Math.abs(tower.latitude) > 90) {
+    return fail("latitude missing or out of range");
+  }
+  if (!Number.isFinite(tower.longitude) || Math.abs(tower.longitude) > 180) {
+    return fail("longitude missing or out of range");
+  }
+  for (const key of ["elevation", "height", "heading"]) {
+    if (Number.isNaN(tower[key])) {
+      return fail(`${key} is not a number`);
+    }
+  }
+  if (tower.height !== null && tower.height <= 0) {
+    return fail("height must be above zero");
+  }
+  if (tower.type && !knownTypes.includes(tower.type)) {
+    return fail(`unknown tower type "${tower.type}"`);
+  }
+  return { tower, error: null };
+}
+
+//the first tower with an id is kept, later ones with the same id are reported and skipped
+function validateAll(rows, knownTypes) {
+  const towers = [];
+  const errors = [];
+  const seen = new Set();
+  rows.forEach(({ raw, where }) => {
+    const { tower, error } = validateTower(raw, where, knownTypes);
+    if (!tower) {
+      errors.push(error);
+    } else if (tower.id && seen.has(tower.id)) {
+      errors.push(`${where}: tower id "${tower.id}" appears more than once`);
+    } else {
+      seen.add(tower.id);
+      towers.push(tower);
+    }
+  });
+  return { towers, errors };
+}
+
+/**
+ * Surveyed towers from CSV with a header row. Columns: id, lat, lon, ground
+ * elevation (m, empty to take it from the terrain), structure height (m, the
+ * model and its attachment points are scaled to it), heading (deg, empty to
+ * follow the line) and an optional tower type id. Comma, semicolon
+ * and tab delimiters are recognised.
+ * @param {string} text
+ * @param {string[]} knownTypes tower type ids
+ * @returns {{towers: Object[], errors: string[]}} valid towers in file order and the problems of the rest
+ */
+export function parseTowerCsv(text, knownTypes) {
+  const lines = text
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map((line, index) => ({ line, number: index + 1 }))
+    .filter(({ line }) => line.trim());
+  if (lines.length < 2) {
+    throw new Error("CSV needs a header row and at least one tower");
+  }
+
+  const header = lines[0].line;
+  const delimiter = [",", ";", "\t"].reduce((best, d) =>
+    header.split(d).length > header.split(best).length ? d : best,
+  );
+  const names = splitRow(header, delimiter).map((name) =>
+    name.toLowerCase().replace(/[\s_]/g, ""),
+  );
+  const indices = {};
+  Object.entries(COLUMNS).forEach(([key, aliases]) => {
+    indices[key] = names.findIndex((name) => aliases.includes(name));
+  });
+  if (indices.latitude < 0 || indices.longitude < 0) {
+    throw new Error("CSV header has no latitude and longitude columns");
+  }
+
+  const rows = lines.slice(1).map(({ line, number }) => {
+    const fields = splitRow(line, delimiter);
+    const raw = {};
+    Object.entries(indices).forEach(([key, index]) => {
+      raw[key] = index >= 0 ? fields[index] : undefined;
+    });
+    return { raw, where: `Line ${number}` };
+  });
+  return validateAll(rows, knownTypes);
+}
+
+/**
+ * Surveyed towers from the Point features of GeoJSON. A third coordinate is
+ * the ground elevation unless an elevation property is given; other features
+ * are skipped.
+ * @param {Object} data parsed GeoJSON
+ * @param {string[]} knownTypes tower type ids
+ * @returns {{towers: Object[], errors: string[]}}
+ */
+export function parseTowerGeoJson(data, knownTypes) {
+  let features = [];
+  if (data?.type === "FeatureCollection" && Array.isArray(data.features)) {
+    features = data.features;
+  } else if (data?.type === "Feature") {
+    features = [data];
+  } else {
+    throw new Error("Not a GeoJSON feature collection");
+  }
+
+  const rows = [];
+  features.forEach((feature, index) => {
+    if (feature?.geometry?.type !== "Point") {
+      return;
+    }
+    const [longitude, latitude, z] = feature.geometry.coordinates || [];
+    const properties = feature.properties || {};
+    rows.push({
+      raw: {
+        id: properties.id ?? properties.name ?? feature.id,
+        latitude,
+        longitude,
+        elevation: properties.elevation ?? z,
+        height: properties.height,
+        heading: properties.heading,
+        type: properties.type,
+      },
+      where: `Feature ${index + 1}`,
+    });
+  });
+  if (rows.length === 0) {
+    throw new Error("GeoJSON has no point features");
+  }
+  return validateAll(rows, knownTypes);
+}
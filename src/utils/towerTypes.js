@@ -0,0 +1,175 @@
+import { IonResource } from "cesium";
+
+//attachment points in the local frame of the tower, in meters: x along the line, y across it, z up.
+//each carries the phase it holds and the circuit it belongs to
+const LATTICE_ATTACHMENTS = [
+  { id: "L1", phase: "A", circuit: 1, x: 0.21, y: 6.09, z: 45.47 },
+  { id: "L2", phase: "B", circuit: 1, x: 0.35, y: 6.4, z: 36.61 },
+  { id: "L3", phase: "C", circuit: 1, x: 0.39, y: 6.97, z: 28.53 },
+
+  { id: "R1", phase: "A", circuit: 2, x: 0.2, y: -6.09, z: 45.49 },
+  { id: "R2", phase: "B", circuit: 2, x: 0.33, y: -6.38, z: 36.56 },
+  { id: "R3", phase: "C", circuit: 2, x: 0.44, y: -6.93, z: 27.96 },
+];
+
+//the ion model in the scene; the bundled glTF with the same attachment points stands in for it
+//where an ion token is not at hand, like exported files
+const LATTICE_MODEL = {
+  ionAssetId: 3512572,
+  scale: 7,
+  portable: {
+    uri: new URL("../../assets/models/lattice.gltf", import.meta.url).href,
+    scale: 1,
+  },
+};
+
+//structure classes: suspension towers carry the line, dead-ends terminate a tension section.
+//height is the nominal height of the model in m, which a surveyed structure height scales from
+export const TOWER_TYPES = {
+  suspension: {
+    name: "Lattice Suspension",
+    height: 52,
+    structureClass: "suspension",
+    model: LATTICE_MODEL,
+    attachments: LATTICE_ATTACHMENTS,
+  },
+  deadEnd: {
+    name: "Lattice Dead-End",
+    height: 52,
+    structureClass: "dead-end",
+    model: LATTICE_MODEL,
+    attachments: LATTICE_ATTACHMENTS,
+  },
+  angle: {
+    name: "Lattice Angle",
+    height: 52,
+    structureClass: "angle",
+    model: LATTICE_MODEL,
+    attachments: LATTICE_ATTACHMENTS,
+  },
+  //the bundled glTF models are Y-up with their arms along glTF +X, which Cesium
+  //turns into local +y (across the line) and +z; arm tips sit just above the attachments
+  monopole: {
+    name: "Steel Monopole",
+    height: 26,
+    structureClass: "suspension",
+    model: {
+      uri: new URL("../../assets/models/monopole.gltf", import.meta.url).href,
+      scale: 1,
+    },
+    attachments: [
+      { id: "A", phase: "A", circuit: 1, x: 0, y: 2.6, z: 23.9 },
+      { id: "B", phase: "B", circuit: 1, x: 0, y: -2.6, z: 20.9 },
+      { id: "C", phase: "C", circuit: 1, x: 0, y: 2.6, z: 17.9 },
+    ],
+  },
+  hFrame: {
+    name: "Wood H-Frame",
+    height: 18,
+    structureClass: "suspension",
+    model: {
+      uri: new URL("../../assets/models/h-frame.gltf", import.meta.url).href,
+      scale: 1,
+    },
+    attachments: [
+      { id: "A", phase: "A", circuit: 1, x: 0, y: 5, z: 16.4 },
+      { id: "B", phase: "B", circuit: 1, x: 0, y: 0, z: 16.4 },
+      { id: "C", phase: "C", circuit: 1, x: 0, y: -5, z: 16.4 },
+    ],
+  },
+};
+
+export const DEFAULT_TOWER_TYPE = "suspension";
+
+/**
+ * Tower type by id, falling back to the default type
+ * @param {string} typeId
+ * @returns {Object}
+ */
+export function getTowerType(typeId) {
+  return TOWER_TYPES[typeId] || TOWER_TYPES[DEFAULT_TOWER_TYPE];
+}
+
+/**
+ * Adds (or replaces) a tower type in the library
+ * @param {string} typeId
+ * @param {{name: string, structureClass: string, height?: number, model: {ionAssetId?: number, uri?: string, scale?: number, portable?: {uri: string, scale?: number}}, attachments: Object[]}} definition
+ * @returns {Object} the registered type
+ */
+export function registerTowerType(typeId, definition) {
+  if (!definition.model || !Array.isArray(definition.attachments)) {
+    throw new Error(`Tower type "${typeId}" needs a model and attachments`);
+  }
+  TOWER_TYPES[typeId] = {
+    structureClass: "suspension",
+    ...definition,
+    name: definition.name || typeId,
+  };
+  return TOWER_TYPES[typeId];
+}
+
+/**
+ * Model resource of a tower type: a Cesium ion asset or a glTF url
+ * @param {Object} towerType entry of TOWER_TYPES
+ * @returns {Promise<IonResource|string>}
+ */
+export async function resolveTowerModel(towerType) {
+  const { ionAssetId, uri } = towerType.model;
+  if (ionAssetId !== undefined) {
+    return IonResource.fromAssetId(ionAssetId);
+  }
+  return uri;
+}
+
+/**
+ * Scale of a tower of a type built to a surveyed structure height, applied to
+ * its model and attachment points alike
+ * @param {Object} towerType entry of TOWER_TYPES
+ * @param {number} [structureHeight] m
+ * @returns {number} 1 without a height, or for a type with no nominal height
+ */
+export function getTowerScale(towerType, structureHeight) {
+  return Number.isFinite(structureHeight) &&
+    structureHeight > 0 &&
+    towerType.height > 0
+    ? structureHeight / towerType.height
+    : 1;
+}
+
+/**
+ * glTF of a tower type that loads without an ion token, for exported files
+ * @param {Object} towerType entry of TOWER_TYPES
+ * @returns {{uri: string, scale: number}|null} null for an ion model with no bundled stand-in
+ */
+export function getPortableModel(towerType) {
+  const { ionAssetId, uri, scale, portable } = towerType.model;
+  if (ionAssetId === undefined && uri) {
+    return { uri, scale: scale ?? 1 };
+  }
+  return portable ? { uri: portable.uri, scale: portable.scale ?? 1 } : null;
+}
+
+/**
+ * Pairs the attachment points of two towers for the conductors of a span:
+ * by attachment id first, then by circuit and phase. Points with no partner
+ * on the other tower are left unstrung.
+ * @param {Object} type1 tower type at the start of the span
+ * @param {Object} type2 tower type at the end of the span
+ * @returns {Array<[Object, Object]>}
+ */
+export function pairAttachments(type1, type2) {
+  const pairs = [];
+  const used = new Set();
+  type1.attachments.forEach((a1) => {
+    const a2 =
+      type2.attachments.find((a) => !used.has(a) && a.id === a1.id) ||
+      type2.attachments.find(
+        (a) => !used.has(a) && a.phase === a1.phase && a.circuit === a1.circuit,
+      );
+    if (a2) {
+      used.add(a2);
+      pairs.push([a1, a2]);
+    }
+  });
+  return pairs;
+}
@@ -0,0 +1,36 @@
+import { Cartesian3 } from "cesium";
+import { createSectionLine } from "../utils/lineSection.js";
+
+//solves a batch of spans, section tension included, and returns their positions as flat xyz buffers
+self.onmessage = (event) => {
+  const { batchId, jobs } = event.data;
+  const transfer = [];
+  //conductors of one section share a tension, solved once per batch
+  const tensions = new Map();
+
+  const results = jobs.map((job) => {
+    const positions = createSectionLine(
+      Cartesian3.clone(job.start),
+      Cartesian3.clone(job.end),
+      job.options,
+      tensions,
+    );
+
+    const buffer = new Float64Array(positions.length * 3);
+    positions.forEach((p, i) => {
+      buffer[i * 3] = p.x;
+      buffer[i * 3 + 1] = p.y;
+      buffer[i * 3 + 2] = p.z;
+    });
+    transfer.push(buffer.buffer);
+
+    return {
+      id: job.id,
+      version: job.version,
+      buffer: buffer,
+      metadata: positions.metadata,
+    };
+  });
+
+  self.postMessage({ batchId, results }, transfer);
+};
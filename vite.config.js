@@ -33,6 +33,10 @@ export default defineConfig({
       ],
     }),
   ],
+  worker: {
+    // Module workers, so the catenary worker can share the solver code with the app
+    format: "es",
+  },
   build: {
     target: "esnext",
   },